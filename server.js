@@ -4,6 +4,13 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -44,7 +51,8 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for checking webhook signatures
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf } }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -53,8 +61,56 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Authentication middleware for admin endpoints
-const authenticateAdmin = async (req, res, next) => {
+// ---------------------------------------------------------------------------
+// Roles
+//
+// A user's role is kept in the `role` custom claim so authorize() can trust
+// the verified ID token, and mirrored to `users/{uid}.userType`. Claims are
+// always merged into the existing ones, never replaced. Each staff role maps
+// to a set of permissions, and every staff route names the one it needs.
+// ---------------------------------------------------------------------------
+
+const PERMISSIONS = [
+  'notifications:send',
+  'notifications:read',
+  'content:manage',
+  'users:read',
+  'users:manage',
+  'users:privacy',
+  'roles:manage',
+  'owners:manage',
+  'integrations:manage',
+  'audit:read'
+]
+// Members (`user`) have no permissions; every other role is a staff role
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  admin: PERMISSIONS.filter(permission => permission !== 'owners:manage'),
+  support: ['users:read', 'notifications:read'],
+  marketer: ['notifications:send', 'notifications:read', 'content:manage'],
+  user: []
+}
+const ROLES = Object.keys(ROLE_PERMISSIONS)
+const STAFF_ROLES = ROLES.filter(role => ROLE_PERMISSIONS[role].length > 0)
+// At least one account must keep a role that can manage roles
+const ROLE_MANAGER_ROLES = ROLES.filter(role => ROLE_PERMISSIONS[role].includes('roles:manage'))
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission)
+
+// Merge claims into the user's existing custom claims
+const mergeUserClaims = async (uid, claims) => {
+  const { customClaims } = await admin.auth().getUser(uid)
+  await admin.auth().setCustomUserClaims(uid, { ...customClaims, ...claims })
+}
+
+// Set the role claim and revoke refresh tokens so the change reaches every session
+const setRoleClaim = async (uid, role) => {
+  await mergeUserClaims(uid, { role })
+  await admin.auth().revokeRefreshTokens(uid)
+}
+
+// Authorization middleware for staff endpoints; the caller's role must grant `permission`
+const authorize = (permission) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -65,27 +121,39 @@ const authenticateAdmin = async (req, res, next) => {
     }
 
     const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    
-    // Check if user has admin role in Firestore
-    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
-    if (!userDoc.exists || userDoc.data().userType !== 'admin') {
+    // checkRevoked makes role changes and deactivations apply at once
+    const decodedToken = await admin.auth().verifyIdToken(idToken, true);
+
+    // Trust the verified role claim. Accounts from before role claims have none:
+    // check Firestore once and copy the role into the claim for later tokens.
+    let role = decodedToken.role;
+    let profileName = null;
+    if (role === undefined) {
+      const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+      const profile = userDoc.exists ? userDoc.data() : {};
+      role = ROLES.includes(profile.userType) ? profile.userType : 'user';
+      profileName = (profile.displayName && String(profile.displayName).trim())
+        || `${profile.firstName || ''} ${profile.lastName || ''}`.trim();
+      if (userDoc.exists) {
+        // The Auth display name becomes the token's `name`, used once the claim is in place
+        Promise.all([
+          mergeUserClaims(decodedToken.uid, { role }),
+          profileName && !decodedToken.name && admin.auth().updateUser(decodedToken.uid, { displayName: profileName })
+        ]).catch(error => console.error('Error migrating role claim:', error));
+      }
+    }
+
+    if (!hasPermission(role, permission)) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: `The ${role} role does not have the ${permission} permission`
       });
     }
 
     req.user = decodedToken;
-    // Attach admin profile/name for downstream handlers
-    const profile = userDoc.data() || {}
-    const profileName = (profile.displayName && String(profile.displayName).trim())
-      || `${profile.firstName || ''} ${profile.lastName || ''}`.trim()
-      || decodedToken.name
-      || decodedToken.email
-      || 'Admin'
-    req.adminProfile = profile
-    req.adminDisplayName = profileName
+    req.role = role;
+    // Attach the staff member's name for downstream handlers
+    req.adminDisplayName = profileName || decodedToken.name || decodedToken.email || 'Admin';
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -96,24 +164,83 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
-// Authentication middleware for GHL integrations using static API key
-const authenticateApiKey = (req, res, next) => {
+// Authentication middleware for signed-in members (any valid Firebase ID token)
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authorization header required' })
+    }
+
+    const idToken = authHeader.split('Bearer ')[1]
+    // checkRevoked also rejects deactivated (disabled) members whose token has not expired yet
+    req.user = await admin.auth().verifyIdToken(idToken, true)
+    next()
+  } catch (error) {
+    console.error('Authentication error:', error)
+    res.status(401).json({ success: false, error: 'Invalid or expired token' })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// API keys (GHL and other integrations)
+//
+// Keys look like `mdh_<id>_<secret>` and are stored in `apiKeys/{id}` as a
+// SHA-256 hash, with the scopes they grant. The `GHL_API_KEY` env var still
+// works as a bootstrap key with every scope.
+// ---------------------------------------------------------------------------
+
+const API_KEY_SCOPES = ['users:create', 'users:status', 'users:privacy', 'notifications:send', 'ghl:webhook']
+const API_KEY_PATTERN = /^mdh_([A-Za-z0-9]{20})_[a-f0-9]{64}$/
+// lastUsedAt is written at most once per minute per key
+const API_KEY_TOUCH_MS = 60 * 1000
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest()
+
+// Compare digests so the comparison is constant-time whatever the input length
+const apiKeyMatches = (providedKey, hash) => crypto.timingSafeEqual(hashApiKey(providedKey), hash)
+
+// Resolve an X-API-Key value to { id, name, scopes }, or { error, status }
+const resolveApiKey = async (providedKey) => {
+  const expectedKey = process.env.GHL_API_KEY
+  if (expectedKey && apiKeyMatches(providedKey, hashApiKey(expectedKey))) {
+    return { id: 'env', name: 'GHL_API_KEY', scopes: API_KEY_SCOPES }
+  }
+
+  const match = providedKey.match(API_KEY_PATTERN)
+  const doc = match && await db.collection('apiKeys').doc(match[1]).get()
+  if (!doc?.exists || !apiKeyMatches(providedKey, Buffer.from(doc.data().keyHash, 'hex'))) {
+    return { status: 403, error: 'Invalid API key' }
+  }
+
+  const data = doc.data()
+  if (data.revokedAt) return { status: 403, error: 'API key has been revoked' }
+  if (data.expiresAt && data.expiresAt.toMillis() <= Date.now()) return { status: 403, error: 'API key has expired' }
+
+  if (!data.lastUsedAt || Date.now() - data.lastUsedAt.toMillis() > API_KEY_TOUCH_MS) {
+    doc.ref.update({ lastUsedAt: admin.firestore.Timestamp.now() })
+      .catch(error => console.error('Error updating API key lastUsedAt:', error))
+  }
+  return { id: doc.id, name: data.name, scopes: data.scopes || [] }
+}
+
+// Authentication middleware for integrations; the key must grant `scope`
+const authenticateApiKey = (scope) => async (req, res, next) => {
   try {
     const providedKey = req.header('X-API-Key') || req.header('x-api-key')
     if (!providedKey) {
       return res.status(401).json({ success: false, error: 'X-API-Key header required' })
     }
 
-    const expectedKey = process.env.GHL_API_KEY
-    if (!expectedKey) {
-      console.error('GHL_API_KEY not configured')
-      return res.status(500).json({ success: false, error: 'Server configuration error' })
+    const apiKey = await resolveApiKey(providedKey)
+    if (apiKey.error) {
+      return res.status(apiKey.status).json({ success: false, error: apiKey.error })
     }
-
-    if (providedKey !== expectedKey) {
-      return res.status(403).json({ success: false, error: 'Invalid API key' })
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, error: `API key is missing the ${scope} scope` })
     }
 
+    req.apiKey = apiKey
     next()
   } catch (error) {
     console.error('API key authentication error:', error)
@@ -121,435 +248,1069 @@ const authenticateApiKey = (req, res, next) => {
   }
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// Accept an API key with the scope of the same name when X-API-Key is sent,
+// otherwise a staff token with the permission
+const authorizeApiKeyOrStaff = (permission) => (req, res, next) => {
+  if (req.header('X-API-Key')) return authenticateApiKey(permission)(req, res, next)
+  return authorize(permission)(req, res, next)
+}
 
-// Send notification endpoint
-app.post('/api/send-notification', async (req, res) => {
-  try {
-    const { title, body, targetType = 'all', targetUsers = [], icon, badge, data } = req.body;
+// ---------------------------------------------------------------------------
+// Idempotency keys (GHL routes)
+//
+// GoHighLevel retries webhooks. A request carrying an `Idempotency-Key` header
+// is recorded in `idempotencyKeys/{sha256(key)}`; replays within the window get
+// the stored response instead of running the handler again.
+// ---------------------------------------------------------------------------
 
-    // Validate required fields
-    if (!title || !body) {
-      return res.status(400).json({
-        success: false,
-        error: 'Title and body are required'
-      });
-    }
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24
+// A key still "processing" after this long is assumed abandoned and may be retried
+const IDEMPOTENCY_LOCK_MS = 60 * 1000
 
-    // Get FCM tokens based on target type
-    let tokens = [];
-    
-    if (targetUsers.length > 0) {
-      // Get tokens for specific users
-      const userPromises = targetUsers.map(async (userId) => {
-        const userDoc = await db.collection('users').doc(userId).get();
-        return userDoc.exists ? userDoc.data().fcmToken : null;
-      });
-      
-      const userTokens = await Promise.all(userPromises);
-      tokens = userTokens.filter(token => token !== null);
-    } else {
-      // Get tokens based on user type
-      let query = db.collection('users');
-      
-      if (targetType !== 'all') {
-        query = query.where('userType', '==', targetType);
-      }
-      
-      const snapshot = await query.get();
-      tokens = snapshot.docs
-        .map(doc => doc.data().fcmToken)
-        .filter(token => token !== null && token !== undefined);
-    }
+// JSON with object keys sorted, so bodies that differ only in key order match
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
 
-    if (tokens.length === 0) {
-      return res.json({
-        success: false,
-        error: 'No users have enabled notifications for the specified criteria'
-      });
-    }
+const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key')
+  if (key === undefined) return next()
+  if (!key || key.length > 255) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key must be 1-255 characters' })
+  }
 
-    // Prepare notification payload
-    const message = {
-      // Only title/body are allowed in top-level notification for FCM Admin
-      notification: {
-        title,
-        body
-      },
-      data: {
-        ...data,
-        timestamp: Date.now().toString(),
-        source: 'backend-service'
-      },
-      webpush: {
-        // Web Push-specific notification fields
-        notification: {
-          icon: icon || '/MDH_favicon.png',
-          badge: badge || '/MDH_favicon.png'
-        },
-        fcm_options: {
-          link: process.env.FRONTEND_URL || 'http://localhost:8080'
-        }
+  const keyRef = db.collection('idempotencyKeys').doc(crypto.createHash('sha256').update(key).digest('hex'))
+  const requestHash = crypto.createHash('sha256')
+    .update(`${req.method} ${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex')
+
+  try {
+    const outcome = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(keyRef)
+      const now = Date.now()
+      if (doc.exists && doc.data().expiresAt?.toMillis() > now) {
+        const record = doc.data()
+        if (record.requestHash !== requestHash) return { conflict: 'mismatch' }
+        if (record.status === 'completed') return { replay: record }
+        if (now - record.lockedAt.toMillis() < IDEMPOTENCY_LOCK_MS) return { conflict: 'in_progress' }
       }
-    };
+      tx.set(keyRef, {
+        status: 'processing',
+        requestHash,
+        method: req.method,
+        path: req.path,
+        lockedAt: admin.firestore.Timestamp.fromMillis(now),
+        createdAt: admin.firestore.Timestamp.fromMillis(now),
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+      })
+      return {}
+    })
 
-    // Send notifications
-    const results = await Promise.allSettled(
-      tokens.map(token => admin.messaging().send({ ...message, token }))
-    );
+    if (outcome.conflict === 'mismatch') {
+      return res.status(422).json({ success: false, error: 'Idempotency-Key was already used with a different request' })
+    }
+    if (outcome.conflict === 'in_progress') {
+      return res.status(409).json({ success: false, error: 'A request with this Idempotency-Key is still being processed' })
+    }
+    if (outcome.replay) {
+      console.log('Replaying idempotent response:', { path: req.path, statusCode: outcome.replay.statusCode })
+      res.set('Idempotent-Replayed', 'true')
+      return res.status(outcome.replay.statusCode).json(outcome.replay.responseBody)
+    }
+  } catch (error) {
+    console.error('Error checking idempotency key:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
 
-    const successful = results.filter(result => result.status === 'fulfilled').length;
-    const failed = results.filter(result => result.status === 'rejected').length;
+  // Store the handler's response before sending it. Server errors release the
+  // key instead, so the caller can retry once provisioning has been rolled back.
+  const sendJson = res.json.bind(res)
+  res.json = (body) => {
+    res.json = sendJson
+    const store = res.statusCode >= 500
+      ? keyRef.delete()
+      : keyRef.update({
+        status: 'completed',
+        statusCode: res.statusCode,
+        responseBody: JSON.parse(JSON.stringify(body ?? null)),
+        completedAt: admin.firestore.Timestamp.now()
+      })
+    store
+      .catch(error => console.error('Error storing idempotent response:', error))
+      .then(() => sendJson(body))
+    return res
+  }
+  next()
+}
 
-    // Log failed sends
-    results.forEach((result, index) => {
-      if (result.status === 'rejected') {
-        console.error(`Failed to send to token ${tokens[index].substring(0, 20)}...:`, result.reason);
-      }
-    });
+// ---------------------------------------------------------------------------
+// Audit log
+//
+// Mutating admin and GHL routes add `audit(action)` after their auth
+// middleware. The entry is appended to `auditLog` just before the response is
+// sent; handlers describe the target and before/after values with
+// auditDetails(). Entries are never updated or deleted by the app.
+// ---------------------------------------------------------------------------
 
-    res.json({
-      success: true,
-      messageId: `batch-${Date.now()}`,
-      stats: {
-        total: tokens.length,
-        successful,
-        failed
-      }
-    });
+const AUDIT_SENSITIVE_KEYS = /password|secret|token|apikey/i
+const AUDIT_MAX_STRING = 1000
+const AUDIT_MAX_ITEMS = 20
+// Profile fields recorded as before/after values for member changes
+const AUDIT_USER_FIELDS = ['userType', 'accountType', 'accountStatus', 'tier', 'is_triple_hugger', 'trialStatus', 'trialEndsAt']
 
-  } catch (error) {
-    console.error('Error sending notification:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+// Copy a value for the log: secrets redacted, dates as ISO strings, large values summarized
+const redactForAudit = (value, depth = 0) => {
+  if (typeof value === 'string') return value.length > AUDIT_MAX_STRING ? `[${value.length} chars]` : value
+  if (value instanceof Date) return value.toISOString()
+  if (value?.toDate) return value.toDate().toISOString()
+  if (Array.isArray(value)) {
+    if (value.length > AUDIT_MAX_ITEMS || depth > 3) return `[${value.length} items]`
+    return value.map(item => redactForAudit(item, depth + 1))
   }
-});
-
-// Get notification stats endpoint
-app.get('/api/notification-stats', async (req, res) => {
-  try {
-    const snapshot = await db.collection('users').get();
-    const users = snapshot.docs.map(doc => doc.data());
-    
-    const stats = {
-      totalUsers: users.length,
-      usersWithNotifications: users.filter(user => user.fcmToken).length,
-      admins: users.filter(user => user.userType === 'admin').length,
-      regularUsers: users.filter(user => user.userType === 'user').length
-    };
+  if (value && typeof value === 'object') {
+    if (depth > 3) return '[object]'
+    const copy = {}
+    for (const [key, entry] of Object.entries(value)) {
+      if (entry === undefined) continue
+      copy[key] = AUDIT_SENSITIVE_KEYS.test(key) ? '[REDACTED]' : redactForAudit(entry, depth + 1)
+    }
+    return copy
+  }
+  return value ?? null
+}
 
-    res.json(stats);
-  } catch (error) {
-    console.error('Error getting stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+// Pick the audited profile fields, timestamps as ISO strings
+const auditUserFields = (data) => {
+  if (!data) return null
+  const fields = {}
+  for (const field of AUDIT_USER_FIELDS) {
+    if (data[field] === undefined) continue
+    const value = data[field]
+    fields[field] = value?.toDate ? value.toDate().toISOString() : value
   }
-});
+  return fields
+}
 
-// Grant Admin role (by email). If Auth user doesn't exist, create it and create/merge profile (admin only)
-app.post('/api/grant-admin', authenticateAdmin, async (req, res) => {
-  try {
-    console.log('Grant admin request received:', { body: req.body })
-    const { email, firstName = '', lastName = '', tempPassword } = req.body || {}
+// Add target / before / after / metadata to the audit entry for this request
+const auditDetails = (req, details) => {
+  req.audit = { ...req.audit, ...details }
+}
 
-    if (!email || typeof email !== 'string') {
-      console.log('Invalid email provided:', email)
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
+const auditActor = (req) => {
+  if (req.webhookSender) return { actorType: 'webhook', actorId: `webhook:${req.webhookSender}`, actorName: null }
+  if (req.apiKey) return { actorType: 'api_key', actorId: `apikey:${req.apiKey.id}`, actorName: req.apiKey.name }
+  if (req.user) {
+    return {
+      actorType: STAFF_ROLES.includes(req.role) ? 'admin' : 'user',
+      actorId: req.user.uid,
+      actorName: req.adminDisplayName || req.user.email || null,
+      actorRole: req.role || 'user'
     }
+  }
+  return { actorType: 'anonymous', actorId: null, actorName: null }
+}
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      console.log('Invalid email format:', email)
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid email format' 
-      })
+// Plain JSON for Firestore: Dates become ISO strings, undefined becomes null
+const toAuditValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)))
+
+const audit = (action) => (req, res, next) => {
+  const sendJson = res.json.bind(res)
+  res.json = (body) => {
+    res.json = sendJson
+    const details = req.audit || {}
+    // A detail set to null by the handler (e.g. to keep PII out) overrides the default
+    const detail = (key, fallback) => (Object.prototype.hasOwnProperty.call(details, key) ? details[key] : fallback)
+    // Resource routes answer with { <resource>: { id, ... } }; use it when the handler gave no id
+    const resource = Object.values(body || {}).find(value => value && typeof value === 'object' && typeof value.id === 'string')
+    const entry = {
+      action,
+      ...auditActor(req),
+      targetUid: details.targetUid ?? req.params.uid ?? req.body?.uid ?? body?.uid ?? null,
+      targetEmail: detail('targetEmail', req.body?.email ?? body?.email ?? null),
+      resourceId: details.resourceId ?? req.params.id ?? resource?.id ?? null,
+      before: toAuditValue(redactForAudit(details.before)),
+      after: toAuditValue(redactForAudit(detail('after', res.statusCode < 400 ? resource : undefined))),
+      metadata: toAuditValue(details.metadata),
+      request: toAuditValue(redactForAudit(detail('request', req.body))),
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      success: res.statusCode < 400,
+      error: res.statusCode >= 400 ? (body?.error || null) : null,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      createdAt: admin.firestore.Timestamp.now()
     }
+    if (typeof entry.targetEmail === 'string') entry.targetEmail = entry.targetEmail.toLowerCase()
 
-    // Find or create Auth user
-    let userRecord
-    try {
-      console.log('Looking up user by email:', email)
-      userRecord = await admin.auth().getUserByEmail(email)
-      console.log('User found:', userRecord.uid)
-    } catch (err) {
-      if (err && err.code === 'auth/user-not-found') {
-        console.log('User not found, creating new user')
-        // Create with temporary password if provided (or generate one)
-        const generated = tempPassword || Math.random().toString(36).slice(-8) + Math.random().toString(36).slice(-4)
-        userRecord = await admin.auth().createUser({ email, password: generated })
-        console.log('New user created:', userRecord.uid)
-        console.log('Generated temp password:', generated)
-        // Store for response
-        userRecord._generatedTempPassword = generated
-      } else {
-        console.error('Error looking up user:', err)
-        throw err
+    db.collection('auditLog').add(entry)
+      .catch(error => console.error(`Error writing audit log for ${action}:`, error))
+      .then(() => sendJson(body))
+    return res
+  }
+  next()
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// ---------------------------------------------------------------------------
+// Audience segments
+//
+// A segment is a filter over user profile fields, written as conditions joined
+// by AND, e.g. `accountType = Trial AND accountStatus = Active AND createdAt > 7 days ago`.
+// Operators: = != > >= < <= IN NOT IN. Values may be bare words, quoted strings,
+// lists for IN (`accountType IN (Premium, Trial)`), ISO dates, or relative dates
+// (`N minutes|hours|days|weeks ago`). Equality conditions are pushed down to the
+// Firestore query; everything is then re-checked in memory, so no composite
+// indexes are needed. Saved segments live in `segments/{id}`.
+// ---------------------------------------------------------------------------
+
+const SEGMENT_FIELDS = ['userType', 'accountType', 'accountStatus', 'tier', 'is_triple_hugger', 'creationEndpoint', 'createdAt', 'updatedAt']
+const SEGMENT_DATE_FIELDS = ['createdAt', 'updatedAt']
+const SEGMENT_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'IN', 'NOT IN']
+const RELATIVE_UNITS_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+}
+
+// Split on a top-level separator, ignoring separators inside quotes or parentheses
+const splitOutside = (text, separatorRegex) => {
+  const parts = []
+  let depth = 0
+  let quote = null
+  let current = ''
+  let i = 0
+  while (i < text.length) {
+    const char = text[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth--
+    } else if (depth === 0) {
+      const match = text.slice(i).match(separatorRegex)
+      if (match && match.index === 0) {
+        parts.push(current)
+        current = ''
+        i += match[0].length
+        continue
       }
     }
+    current += char
+    i++
+  }
+  if (quote || depth !== 0) throw new Error('Unbalanced quotes or parentheses in segment')
+  parts.push(current)
+  return parts.map(part => part.trim())
+}
 
-    // Handle password for existing users or use generated password for new users
-    let effectiveTempPassword = userRecord._generatedTempPassword || null
-    if (!effectiveTempPassword && tempPassword) {
-      // User already existed and tempPassword was provided
-      await admin.auth().updateUser(userRecord.uid, { password: tempPassword })
-      effectiveTempPassword = tempPassword
-    }
-    
-    console.log('Effective temp password:', effectiveTempPassword ? 'Generated/Set' : 'None')
+const parseSegmentScalar = (raw, field, now) => {
+  let value = raw.trim()
+  if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1)
+  if (!value) throw new Error(`Missing value for ${field}`)
 
-    // Set custom claim requiring password change on first sign-in
-    console.log('Setting custom claims for user:', userRecord.uid)
-    await admin.auth().setCustomUserClaims(userRecord.uid, {
-      mustChangePassword: true,
-      // preserve existing claims if needed in a real implementation (fetch then merge)
-    })
+  if (!SEGMENT_DATE_FIELDS.includes(field)) return value
 
-    // Update Firestore profile: set admin role and names if provided
-    const uid = userRecord.uid
-    const displayName = `${firstName || ''} ${lastName || ''}`.trim() || userRecord.displayName || ''
-    
-    // Prepare user data object
-    const userData = {
-      uid,
-      email,
-      userType: 'admin',
-      accountType: 'Admin-Created',
-      creationEndpoint: 'grant_admin',
-      createdBy: req.adminDisplayName || 'Admin',
-      accountStatus: 'Active',
-      is_triple_hugger: 'No',
-      updatedAt: admin.firestore.Timestamp.now()
-    }
-    
-    // Only add fields if they have values
-    if (firstName) userData.firstName = firstName
-    if (lastName) userData.lastName = lastName
-    if (displayName) userData.displayName = displayName
-    
-    // Add temporary password if one was generated/set
-    if (effectiveTempPassword) {
-      userData.tempPassword = effectiveTempPassword
-      userData.passwordGeneratedAt = admin.firestore.Timestamp.now()
+  const relative = value.match(/^(\d+)\s+(minute|hour|day|week)s?\s+ago$/i)
+  if (relative) {
+    return new Date(now.getTime() - parseInt(relative[1], 10) * RELATIVE_UNITS_MS[relative[2].toLowerCase()])
+  }
+  const date = new Date(value)
+  if (isNaN(date.getTime())) throw new Error(`Invalid date "${value}" for ${field}`)
+  return date
+}
+
+// Parse a segment expression into [{ field, op, value }]; relative dates resolve against `now`
+const parseSegment = (expression, now = new Date()) => {
+  if (!expression || typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Segment must be a non-empty string')
+  }
+
+  return splitOutside(expression.trim(), /^\s+AND\s+/i).map((clause) => {
+    const match = clause.match(/^(\w+)\s*(==|=|!=|>=|<=|>|<|\s+NOT\s+IN\s+|\s+IN\s+)\s*(.+)$/i)
+    if (!match) throw new Error(`Invalid segment condition "${clause}"`)
+
+    const field = match[1]
+    const op = match[2].trim().toUpperCase().replace(/\s+/g, ' ').replace('==', '=')
+    if (!SEGMENT_FIELDS.includes(field)) {
+      throw new Error(`Unknown segment field "${field}". Allowed: ${SEGMENT_FIELDS.join(', ')}`)
     }
-    
-    // Set createdAt only for new users
-    if (userRecord._generatedTempPassword) {
-      userData.createdAt = admin.firestore.FieldValue.serverTimestamp()
+    if (!SEGMENT_OPERATORS.includes(op)) throw new Error(`Unknown operator "${op}"`)
+
+    if (op === 'IN' || op === 'NOT IN') {
+      const list = match[3].trim().match(/^\((.*)\)$/)
+      if (!list) throw new Error(`${op} expects a list such as (a, b)`)
+      const values = splitOutside(list[1], /^,/).filter(Boolean).map(value => parseSegmentScalar(value, field, now))
+      if (values.length === 0) throw new Error(`${op} list for ${field} is empty`)
+      return { field, op, value: values }
     }
-    
-    console.log('Writing user data to Firestore:', { 
-      ...userData, 
-      tempPassword: userData.tempPassword ? '[REDACTED]' : undefined 
-    })
-    await db.collection('users').doc(uid).set(userData, { merge: true })
-    console.log('Successfully wrote user data to Firestore')
 
-    const response = {
-      success: true,
-      uid,
-      email,
-      message: 'Admin role granted with temporary password set',
-      tempPassword: effectiveTempPassword || undefined
+    if (['>', '>=', '<', '<='].includes(op) && !SEGMENT_DATE_FIELDS.includes(field)) {
+      throw new Error(`Operator ${op} is only supported on ${SEGMENT_DATE_FIELDS.join(', ')}`)
     }
-    
-    console.log('Sending response:', { ...response, tempPassword: effectiveTempPassword ? '[REDACTED]' : 'undefined' })
-    res.json(response)
-  } catch (error) {
-    console.error('Error granting admin:', error)
-    res.status(500).json({
-      success: false,
-      error: error?.message || 'Failed to grant admin role',
-      code: error?.code || undefined
-    })
+    return { field, op, value: parseSegmentScalar(match[3], field, now) }
+  })
+}
+
+const segmentFieldValue = (user, field) => {
+  if (field === 'tier') return userTier(user)
+  const value = user[field]
+  if (SEGMENT_DATE_FIELDS.includes(field)) return value?.toDate?.()?.getTime() ?? null
+  return value === undefined ? null : value
+}
+
+const segmentConditionValue = (value) => (value instanceof Date ? value.getTime() : value)
+
+const matchesSegment = (user, conditions) => conditions.every(({ field, op, value }) => {
+  const actual = segmentFieldValue(user, field)
+  if (op === 'IN' || op === 'NOT IN') {
+    const included = value.map(segmentConditionValue).includes(actual)
+    return op === 'IN' ? included : !included
+  }
+  const expected = segmentConditionValue(value)
+  switch (op) {
+    case '=': return actual === expected
+    case '!=': return actual !== expected
+    case '>': return actual !== null && actual > expected
+    case '>=': return actual !== null && actual >= expected
+    case '<': return actual !== null && actual < expected
+    case '<=': return actual !== null && actual <= expected
+    default: return false
   }
 })
 
-// Remove mustChangePassword custom claim endpoint
-app.post('/api/remove-password-change-requirement', async (req, res) => {
-  try {
-    const { uid } = req.body;
+// Validate the audience fields of a send or schedule request and keep only those set.
+// Throws on an invalid segment expression.
+const normalizeAudienceInput = ({ targetType = 'all', targetUsers = [], segment, segmentId, includeInactive } = {}) => {
+  if (!Array.isArray(targetUsers)) throw new Error('targetUsers must be an array of uids')
 
-    if (!uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+  const criteria = { targetType, targetUsers }
+  if (segmentId) {
+    criteria.segmentId = String(segmentId)
+  } else if (segment) {
+    parseSegment(segment)
+    criteria.segment = segment
+  }
+  if (includeInactive) criteria.includeInactive = true
+  return criteria
+}
 
-    // Remove the mustChangePassword custom claim
-    await admin.auth().setCustomUserClaims(uid, {
-      mustChangePassword: false
-    });
+const segmentExists = async (segmentId) => (await db.collection('segments').doc(segmentId).get()).exists
 
-    res.json({
-      success: true,
-      message: 'Password change requirement removed'
-    });
+// Count the users an audience would reach (before device lookup)
+const countAudience = async (criteria) => {
+  let count = 0
+  for await (const users of iterateTargetUsers(criteria)) count += users.length
+  return count
+}
 
-  } catch (error) {
-    console.error('Error removing password change requirement:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Internal server error'
-    });
-  }
-});
+// Notification helpers shared by manual sends and scheduled deliveries
 
-// Create new user endpoint (admin only)
-app.post('/api/create-user', authenticateAdmin, async (req, res) => {
-  try {
-    console.log('Create user request received:', { body: req.body })
-    const { email, firstName = '', lastName = '', tempPassword } = req.body || {}
+const USER_PAGE_SIZE = 500
+const FCM_BATCH_SIZE = 500 // sendEach accepts at most 500 messages
+const FCM_SEND_CONCURRENCY = parseInt(process.env.FCM_SEND_CONCURRENCY, 10) || 4
+const FCM_MAX_RETRIES = parseInt(process.env.FCM_MAX_RETRIES, 10) || 3
+const FCM_RETRY_BASE_MS = 500
+const DEVICE_LOOKUP_CONCURRENCY = 25
 
-    // Validate email format
-    if (!email || typeof email !== 'string') {
-      console.log('Invalid email provided:', email)
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Valid email is required' 
-      })
-    }
+// FCM error codes worth retrying with backoff
+const TRANSIENT_FCM_ERRORS = [
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/message-rate-exceeded',
+  'messaging/quota-exceeded'
+]
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      console.log('Invalid email format:', email)
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid email format' 
-      })
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const chunk = (items, size) => {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size))
+  return chunks
+}
+
+// Map over items running at most `limit` calls at a time, preserving order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
     }
+  })
+  await Promise.all(workers)
+  return results
+}
 
-    // Find or create Auth user
-    let userRecord
-    try {
-      console.log('Looking up user by email:', email)
-      userRecord = await admin.auth().getUserByEmail(email)
-      console.log('User already exists:', userRecord.uid)
-      return res.status(409).json({
-        success: false,
-        error: 'User already exists with this email',
-        uid: userRecord.uid
-      })
-    } catch (err) {
-      if (err && err.code === 'auth/user-not-found') {
-        console.log('User not found, creating new user')
-        // Create with temporary password if provided (or generate one)
-        const generated = tempPassword || Math.random().toString(36).slice(-8) + Math.random().toString(36).slice(-4)
-        userRecord = await admin.auth().createUser({ email, password: generated })
-        console.log('New user created:', userRecord.uid)
-        console.log('Generated temp password:', generated)
-        // Store for response
-        userRecord._generatedTempPassword = generated
-      } else {
-        console.error('Error looking up user:', err)
-        throw err
-      }
+// Yield the profiles targeted by a send one page at a time: an explicit uid list
+// (batched getAll), a segment, or every user of a type (cursor pagination).
+// Inactive users are left out unless `includeInactive` is set or the segment
+// filters on accountStatus itself. Users come in uid order; each page carries
+// `cursor`, the last uid it covered, which `startAfter` resumes from.
+async function * iterateTargetUsers ({ targetType = 'all', targetUsers = [], segment, segmentId, includeInactive = false } = {}, { startAfter = null } = {}) {
+  if (segmentId) {
+    const segmentDoc = await db.collection('segments').doc(segmentId).get()
+    if (!segmentDoc.exists) throw new Error(`Segment ${segmentId} not found`)
+    segment = segmentDoc.data().filter
+    includeInactive = includeInactive || !!segmentDoc.data().includeInactive
+  }
+  const conditions = segment ? parseSegment(segment) : []
+  const skipInactive = !includeInactive && !conditions.some(condition => condition.field === 'accountStatus')
+  const selectUsers = (docs) => docs
+    .filter(doc => doc.exists)
+    .map(doc => ({ uid: doc.id, ...doc.data() }))
+    .filter(user => !(skipInactive && user.accountStatus === 'Inactive'))
+    .filter(user => matchesSegment(user, conditions))
+
+  const withCursor = (users, cursor) => Object.assign(users, { cursor })
+
+  if (targetUsers.length > 0) {
+    const uids = [...new Set(targetUsers)].sort().filter(uid => startAfter === null || uid > startAfter)
+    for (const page of chunk(uids, USER_PAGE_SIZE)) {
+      yield withCursor(selectUsers(await db.getAll(...page.map(uid => db.collection('users').doc(uid)))), page[page.length - 1])
     }
+    return
+  }
 
-    // Handle password for existing users or use generated password for new users
-    let effectiveTempPassword = userRecord._generatedTempPassword || null
-    if (!effectiveTempPassword && tempPassword) {
-      // User already existed and tempPassword was provided
-      await admin.auth().updateUser(userRecord.uid, { password: tempPassword })
-      effectiveTempPassword = tempPassword
+  let query = db.collection('users')
+  if (segment) {
+    for (const { field, op, value } of conditions) {
+      if (op === '=' && !SEGMENT_DATE_FIELDS.includes(field)) query = query.where(field, '==', value)
     }
-    
-    console.log('Effective temp password:', effectiveTempPassword ? 'Generated/Set' : 'None')
+  } else if (targetType !== 'all') {
+    query = query.where('userType', '==', targetType)
+  }
+  query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(USER_PAGE_SIZE)
 
-    // Set custom claim requiring password change on first sign-in
-    console.log('Setting custom claims for user:', userRecord.uid)
-    await admin.auth().setCustomUserClaims(userRecord.uid, {
-      mustChangePassword: true,
-      // preserve existing claims if needed in a real implementation (fetch then merge)
-    })
+  let lastDoc = startAfter
+  while (true) {
+    const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get()
+    if (snapshot.empty) return
+    lastDoc = snapshot.docs[snapshot.docs.length - 1]
+    yield withCursor(selectUsers(snapshot.docs), lastDoc.id)
+    if (snapshot.size < USER_PAGE_SIZE) return
+  }
+}
 
-    // Update Firestore profile: set user role and names if provided
-    const uid = userRecord.uid
-    const displayName = `${firstName || ''} ${lastName || ''}`.trim() || userRecord.displayName || ''
-    
-    // Prepare user data object
-    const userData = {
-      uid,
-      email,
-      userType: 'user', // Regular user role
-      accountType: 'Admin-Created',
-      creationEndpoint: 'create_user',
-      createdBy: req.adminDisplayName || 'Admin',
-      accountStatus: 'Active',
-      is_triple_hugger: 'No',
-      updatedAt: admin.firestore.Timestamp.now()
+// Build the FCM message payload (without a token) for a notification
+const buildNotificationMessage = ({ title, body, icon, badge, imageUrl, data }) => ({
+  // Only title/body/imageUrl are allowed in top-level notification for FCM Admin
+  notification: {
+    title,
+    body,
+    ...(imageUrl ? { imageUrl } : {})
+  },
+  data: {
+    ...data,
+    timestamp: Date.now().toString(),
+    source: 'backend-service'
+  },
+  webpush: {
+    // Web Push-specific notification fields
+    notification: {
+      icon: icon || '/MDH_favicon.png',
+      badge: badge || '/MDH_favicon.png'
+    },
+    fcm_options: {
+      link: process.env.FRONTEND_URL || 'http://localhost:8080'
     }
-    
-    // Only add fields if they have values
-    if (firstName) userData.firstName = firstName
-    if (lastName) userData.lastName = lastName
-    if (displayName) userData.displayName = displayName
-    
-    // Add temporary password if one was generated/set
-    if (effectiveTempPassword) {
-      userData.tempPassword = effectiveTempPassword
-      userData.passwordGeneratedAt = admin.firestore.Timestamp.now()
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Notification templates
+//
+// Templates in `notificationTemplates/{id}` hold a title/body with `{{variable}}`
+// placeholders filled from each recipient's `users/{uid}` profile at send time.
+// A placeholder may carry an inline fallback (`{{firstName | friend}}`); otherwise
+// the template's `fallbacks` map is used, then an empty string.
+// ---------------------------------------------------------------------------
+
+const TEMPLATE_VARIABLES = ['firstName', 'lastName', 'displayName', 'accountType']
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([^{}|]*?)\s*(?:\|\s*([^{}]*?)\s*)?\}\}/g
+
+const extractTemplateVariables = (text) => [...String(text || '').matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1])
+
+const assertWellFormedPlaceholders = (text) => {
+  const stripped = String(text || '').replace(TEMPLATE_PLACEHOLDER, '')
+  if (stripped.includes('{{') || stripped.includes('}}')) {
+    throw new Error('Template has an unclosed or malformed {{placeholder}}')
+  }
+}
+
+const unknownVariablesError = (unknown) => new Error(`Unknown template variable(s): ${[...new Set(unknown)].join(', ')}. Allowed: ${TEMPLATE_VARIABLES.join(', ')}`)
+
+const renderTemplateText = (text, user = {}, fallbacks = {}) => String(text || '')
+  .replace(TEMPLATE_PLACEHOLDER, (placeholder, variable, inlineFallback) => {
+    const value = user[variable]
+    if (value !== undefined && value !== null && String(value).trim()) return String(value).trim()
+    if (inlineFallback) return inlineFallback
+    return fallbacks[variable] || ''
+  })
+  // Tidy up after empty substitutions: "Good morning , friend" -> "Good morning, friend"
+  .replace(/[ \t]{2,}/g, ' ')
+  .replace(/ +([,.!?;:])/g, '$1')
+  .trim()
+
+// Render a template's title and body for one recipient
+const renderTemplate = (template, user) => ({
+  title: renderTemplateText(template.title, user, template.fallbacks),
+  body: renderTemplateText(template.body, user, template.fallbacks)
+})
+
+// Validate a template and normalise it to the stored shape. Rejects unknown
+// variables and templates that render empty for a user with no profile data.
+const normalizeTemplateInput = ({ name, title, body, icon, badge, data, fallbacks = {} } = {}) => {
+  if (!name || typeof name !== 'string') throw new Error('Template name is required')
+  if (!title || !body || typeof title !== 'string' || typeof body !== 'string') {
+    throw new Error('Title and body are required')
+  }
+  if (!fallbacks || typeof fallbacks !== 'object' || Array.isArray(fallbacks)) {
+    throw new Error('fallbacks must be an object of variable -> text')
+  }
+
+  assertWellFormedPlaceholders(title)
+  assertWellFormedPlaceholders(body)
+
+  const variables = [...new Set([...extractTemplateVariables(title), ...extractTemplateVariables(body)])]
+  const unknown = [...variables, ...Object.keys(fallbacks)].filter(variable => !TEMPLATE_VARIABLES.includes(variable))
+  if (unknown.length > 0) throw unknownVariablesError(unknown)
+  if (Object.values(fallbacks).some(value => typeof value !== 'string')) {
+    throw new Error('Fallback values must be strings')
+  }
+
+  const template = { name: name.trim(), title, body, variables, fallbacks }
+  const rendered = renderTemplate(template, {})
+  if (!rendered.title || !rendered.body) {
+    throw new Error('Template renders an empty title or body when profile fields are missing; add fallbacks')
+  }
+
+  if (icon) template.icon = icon
+  if (badge) template.badge = badge
+  if (data) template.data = data
+  return template
+}
+
+const loadTemplate = async (templateId) => {
+  const doc = await db.collection('notificationTemplates').doc(templateId).get()
+  return doc.exists ? { id: doc.id, ...doc.data() } : null
+}
+
+// Content of a send: a template's title/body, or the literal ones given.
+// Icon, badge and data given with the send override the template's.
+const resolveNotificationContent = (input, template) => {
+  const content = {
+    title: template ? template.title : input.title,
+    body: template ? template.body : input.body,
+    data: { ...(template && template.data), ...input.data }
+  }
+  const icon = input.icon || (template && template.icon)
+  const badge = input.badge || (template && template.badge)
+  if (icon) content.icon = icon
+  if (badge) content.badge = badge
+  return content
+}
+
+// FCM message for a send: shared, or built per user when a template is used
+const buildSendMessage = (content, template) => {
+  if (!template) return buildNotificationMessage(content)
+  return (user) => buildNotificationMessage({ ...content, ...renderTemplate(template, user) })
+}
+
+// ---------------------------------------------------------------------------
+// Notification preferences
+//
+// Every send has a category. Users keep their choices on
+// `users/{uid}.notificationPreferences`:
+//   { categories: { daily_hug, announcements, account }, quietHours: { enabled, start, end }, unsubscribed }
+// Quiet hours are wall-clock times in the user's timezone and may wrap past
+// midnight (22:00-07:00). Users skipped by their preferences are counted per
+// reason in the send stats.
+// ---------------------------------------------------------------------------
+
+const NOTIFICATION_CATEGORIES = ['daily_hug', 'announcements', 'account', 'friend_hug']
+const SKIP_REASONS = ['unsubscribed', 'category', 'quietHours']
+
+const defaultPreferences = () => ({
+  categories: Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, true])),
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  unsubscribed: false
+})
+
+// A user's preferences with defaults filled in for anything never set
+const resolvePreferences = (user = {}) => {
+  const stored = user.notificationPreferences || {}
+  const defaults = defaultPreferences()
+  return {
+    categories: { ...defaults.categories, ...stored.categories },
+    quietHours: { ...defaults.quietHours, ...stored.quietHours },
+    unsubscribed: !!stored.unsubscribed
+  }
+}
+
+const minutesOfDay = (time) => {
+  const [hour, minute] = time.split(':').map(n => parseInt(n, 10))
+  return hour * 60 + minute
+}
+
+const isInQuietHours = (quietHours, timezone, now) => {
+  if (!quietHours || !quietHours.enabled) return false
+  const local = getLocalParts(now, timezone)
+  const current = local.hour * 60 + local.minute
+  const start = minutesOfDay(quietHours.start)
+  const end = minutesOfDay(quietHours.end)
+  if (start === end) return false
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end
+}
+
+// Why a user must not get a notification of this category right now, or null
+const preferenceSkipReason = (user, category, now) => {
+  const preferences = resolvePreferences(user)
+  if (preferences.unsubscribed) return 'unsubscribed'
+  if (preferences.categories[category] === false) return 'category'
+  if (isInQuietHours(preferences.quietHours, resolveTimezone(user.timezone), now)) return 'quietHours'
+  return null
+}
+
+// Split a page of users into those who may be sent to and those skipped (with reason)
+const applyPreferences = (users, category, now = new Date()) => {
+  const allowed = []
+  const skipped = []
+  for (const user of users) {
+    const reason = preferenceSkipReason(user, category, now)
+    if (reason) {
+      skipped.push({ uid: user.uid, reason })
+    } else {
+      allowed.push(user)
     }
-    
-    // Set createdAt only for new users
-    if (userRecord._generatedTempPassword) {
-      userData.createdAt = admin.firestore.FieldValue.serverTimestamp()
+  }
+  return { allowed, skipped }
+}
+
+const validateCategory = (category) => {
+  if (!NOTIFICATION_CATEGORIES.includes(category)) {
+    throw new Error(`category must be one of: ${NOTIFICATION_CATEGORIES.join(', ')}`)
+  }
+  return category
+}
+
+// Validate a (partial) preferences update and merge it over the current preferences
+const mergePreferencesInput = (current, { categories, quietHours, unsubscribed } = {}) => {
+  const merged = resolvePreferences({ notificationPreferences: current })
+
+  if (categories !== undefined) {
+    if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+      throw new Error('categories must be an object of category -> boolean')
     }
-    
-    console.log('Writing user data to Firestore:', { 
-      ...userData, 
-      tempPassword: userData.tempPassword ? '[REDACTED]' : undefined 
-    })
-    await db.collection('users').doc(uid).set(userData, { merge: true })
-    console.log('Successfully wrote user data to Firestore')
+    for (const [category, enabled] of Object.entries(categories)) {
+      validateCategory(category)
+      if (typeof enabled !== 'boolean') throw new Error(`categories.${category} must be a boolean`)
+      merged.categories[category] = enabled
+    }
+  }
 
-    const response = {
-      success: true,
-      email,
-      uid,
-      tempPassword: effectiveTempPassword || undefined
+  if (quietHours !== undefined) {
+    if (!quietHours || typeof quietHours !== 'object') throw new Error('quietHours must be an object')
+    const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/
+    const next = { ...merged.quietHours, ...quietHours }
+    if (typeof next.enabled !== 'boolean') throw new Error('quietHours.enabled must be a boolean')
+    if (!timeRegex.test(next.start) || !timeRegex.test(next.end)) {
+      throw new Error('quietHours.start and quietHours.end must be in HH:MM (24h) format')
     }
-    
-    console.log('Sending response:', { ...response, tempPassword: effectiveTempPassword ? '[REDACTED]' : 'undefined' })
-    res.json(response)
-  } catch (error) {
-    console.error('Error creating user:', error)
-    res.status(500).json({
-      success: false,
-      error: error?.message || 'Failed to create user',
-      code: error?.code || undefined
+    merged.quietHours = { enabled: next.enabled, start: next.start, end: next.end }
+  }
+
+  if (unsubscribed !== undefined) {
+    if (typeof unsubscribed !== 'boolean') throw new Error('unsubscribed must be a boolean')
+    merged.unsubscribed = unsubscribed
+  }
+
+  return merged
+}
+
+// FCM error codes meaning the token will never work again and should be dropped
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]
+
+// Whether FCM rejected the token itself. `messaging/invalid-argument` counts only
+// when its message is about the registration token ("The registration token is
+// not a valid FCM registration token"): FCM also returns it for a bad message
+// (e.g. a non-https link or image), which must not prune every recipient's devices.
+const isInvalidTokenError = (error) => {
+  const code = fcmErrorCode(error)
+  if (INVALID_TOKEN_ERRORS.includes(code)) return true
+  return code === 'messaging/invalid-argument' && /registration token/i.test(error?.message || '')
+}
+
+// Device docs are keyed by a hash of the token so re-registering is idempotent
+const deviceIdForToken = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 40)
+
+// Collect push targets ({ uid, token, deviceId }) for every registered device of the given users
+const collectDeviceTargets = async (users) => {
+  const perUser = await mapWithConcurrency(users, DEVICE_LOOKUP_CONCURRENCY, async (user) => {
+    const snapshot = await db.collection('users').doc(user.uid).collection('devices').get()
+    const targets = snapshot.docs.map(doc => ({ uid: user.uid, token: doc.data().token, deviceId: doc.id }))
+
+    // Legacy single `fcmToken` field written by older clients
+    if (user.fcmToken && !targets.some(target => target.token === user.fcmToken)) {
+      targets.push({ uid: user.uid, token: user.fcmToken, deviceId: null })
+    }
+    return targets
+  })
+  return perUser.flat()
+}
+
+// Remove a token FCM reported as invalid from the device registry (or the legacy field)
+const pruneDeviceTarget = async ({ uid, token, deviceId }) => {
+  const userRef = db.collection('users').doc(uid)
+  if (deviceId) {
+    await userRef.collection('devices').doc(deviceId).delete()
+    return
+  }
+  const userDoc = await userRef.get()
+  if (userDoc.exists && userDoc.data().fcmToken === token) {
+    await userRef.update({ fcmToken: admin.firestore.FieldValue.delete() })
+  }
+}
+
+const fcmErrorCode = (error) => error?.code || error?.errorInfo?.code
+
+// Send one batch (<= 500 targets), retrying transient failures with exponential
+// backoff. Targets carrying their own `message` (personalized sends) use it
+// instead of the shared one. Resolves to one { messageId } or { error } per target.
+const sendDeviceBatch = async (targets, message) => {
+  const outcomes = new Array(targets.length)
+  let pending = targets.map((target, index) => index)
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    const canRetry = attempt < FCM_MAX_RETRIES
+    if (attempt > 0) {
+      await sleep(FCM_RETRY_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 100))
+    }
+
+    let response
+    try {
+      response = await admin.messaging().sendEach(pending.map(index => ({
+        ...(targets[index].message || message),
+        token: targets[index].token
+      })))
+    } catch (err) {
+      // The whole batch failed (network, auth, quota)
+      if (canRetry && TRANSIENT_FCM_ERRORS.includes(fcmErrorCode(err))) continue
+      pending.forEach(index => { outcomes[index] = { error: err } })
+      break
+    }
+
+    const retry = []
+    response.responses.forEach((result, position) => {
+      const index = pending[position]
+      if (result.success) {
+        outcomes[index] = { messageId: result.messageId }
+      } else if (canRetry && TRANSIENT_FCM_ERRORS.includes(fcmErrorCode(result.error))) {
+        retry.push(index)
+      } else {
+        outcomes[index] = { error: result.error }
+      }
     })
+    pending = retry
   }
+
+  return outcomes
+}
+
+const emptySendStats = () => ({
+  total: 0,
+  successful: 0,
+  failed: 0,
+  pruned: 0,
+  skipped: Object.fromEntries(SKIP_REASONS.map(reason => [reason, 0]))
 })
 
-// Get all users endpoint
-app.get('/api/users', async (req, res) => {
+// Add counters from `more` into `stats` (nested objects such as `skipped` too)
+const addSendStats = (stats, more) => {
+  for (const [key, value] of Object.entries(more)) {
+    if (value && typeof value === 'object') {
+      stats[key] = addSendStats(stats[key] || {}, value)
+    } else {
+      stats[key] = (stats[key] || 0) + value
+    }
+  }
+  return stats
+}
+
+// Count skipped users per reason, in the shape of `stats.skipped`
+const countSkipped = (skipped) => {
+  const counts = {}
+  for (const { reason } of skipped) counts[reason] = (counts[reason] || 0) + 1
+  return { skipped: counts }
+}
+
+// Send one message to every device target in 500-token batches with bounded
+// concurrency, pruning tokens FCM rejects as invalid. Returns aggregate stats and
+// one result per target ({ uid, deviceId, messageId } or { uid, deviceId, errorCode }).
+const sendToDevices = async (targets, message) => {
+  const batches = chunk(targets, FCM_BATCH_SIZE)
+  const outcomes = (await mapWithConcurrency(batches, FCM_SEND_CONCURRENCY, batch => sendDeviceBatch(batch, message))).flat()
+
+  let successful = 0
+  let failed = 0
+  const invalidTargets = []
+  const results = outcomes.map((outcome, index) => {
+    const { uid, deviceId } = targets[index]
+    if (!outcome.error) {
+      successful++
+      return { uid, deviceId, messageId: outcome.messageId }
+    }
+    failed++
+    const errorCode = fcmErrorCode(outcome.error) || 'unknown'
+    if (isInvalidTokenError(outcome.error)) {
+      invalidTargets.push(targets[index])
+    } else {
+      console.error(`Failed to send to token ${targets[index].token.substring(0, 20)}...:`, outcome.error)
+    }
+    return { uid, deviceId, errorCode }
+  })
+
+  const pruneResults = await Promise.allSettled(invalidTargets.map(pruneDeviceTarget))
+  pruneResults.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to prune token for user ${invalidTargets[index].uid}:`, result.reason)
+    }
+  })
+  const pruned = pruneResults.filter(result => result.status === 'fulfilled').length
+
+  return { stats: { total: targets.length, successful, failed, pruned }, results }
+}
+
+// ---------------------------------------------------------------------------
+// Notification history
+//
+// Every send is stored in `notifications/{id}` (content, targeting, sender,
+// timestamps, aggregate stats). Per-recipient outcomes live in
+// `notifications/{id}/recipients/{uid}`, one doc per user with the result for
+// each of their devices, so a user's history is a collection group query.
+// ---------------------------------------------------------------------------
+
+// Create the history record for a send before delivery starts
+const createNotificationRecord = async ({ title, body, icon, badge, data, target, source, sentBy, ...extra }) => {
+  const notificationRef = db.collection('notifications').doc()
+  const record = {
+    title,
+    body,
+    data: data || {},
+    target,
+    source,
+    sentBy: sentBy || null,
+    status: 'sending',
+    stats: emptySendStats(),
+    createdAt: admin.firestore.Timestamp.now(),
+    ...extra
+  }
+  if (icon) record.icon = icon
+  if (badge) record.badge = badge
+  await notificationRef.set(record)
+  return notificationRef
+}
+
+// Mark a history record finished with its final stats (or the error that stopped it)
+const completeNotificationRecord = async (notificationRef, stats, error) => {
+  const update = { stats, completedAt: admin.firestore.Timestamp.now() }
+  if (error) {
+    update.status = 'failed'
+    update.error = error?.message || String(error)
+  } else {
+    update.status = stats.total > 0 ? 'completed' : 'no_recipients'
+  }
+  await notificationRef.update(update)
+}
+
+// Store per-recipient outcomes of one page of sends, grouped by user. For
+// personalized sends the rendered title/body of each user is stored too.
+const recordRecipientResults = async (notificationRef, results, renderedByUid) => {
+  const byUid = new Map()
+  for (const { uid, ...delivery } of results) {
+    if (!byUid.has(uid)) byUid.set(uid, [])
+    byUid.get(uid).push(delivery)
+  }
+
+  const sentAt = admin.firestore.Timestamp.now()
+  for (const entries of chunk([...byUid.entries()], 500)) {
+    const batch = db.batch()
+    for (const [uid, deliveries] of entries) {
+      const recipient = {
+        notificationId: notificationRef.id,
+        uid,
+        status: deliveries.some(delivery => delivery.messageId) ? 'delivered' : 'failed',
+        deliveries: deliveries.map(({ deviceId, messageId, errorCode }) => (
+          messageId ? { deviceId, messageId } : { deviceId, errorCode }
+        )),
+        sentAt
+      }
+      const rendered = renderedByUid && renderedByUid.get(uid)
+      if (rendered) {
+        recipient.title = rendered.notification.title
+        recipient.body = rendered.notification.body
+      }
+      batch.set(notificationRef.collection('recipients').doc(uid), recipient)
+    }
+    await batch.commit()
+  }
+}
+
+// Store a `skipped` recipient record (with the reason) for users left out by their preferences
+const recordSkippedRecipients = async (notificationRef, skipped) => {
+  const sentAt = admin.firestore.Timestamp.now()
+  for (const entries of chunk(skipped, 500)) {
+    const batch = db.batch()
+    for (const { uid, reason } of entries) {
+      batch.set(notificationRef.collection('recipients').doc(uid), {
+        notificationId: notificationRef.id,
+        uid,
+        status: 'skipped',
+        reason,
+        deliveries: [],
+        sentAt
+      })
+    }
+    await batch.commit()
+  }
+}
+
+// Send to a list of device targets of the given users. `message` is either one
+// FCM message for everybody or a function building each user's own message.
+const sendToUserDevices = async (users, targets, message, notificationRef) => {
+  let messagesByUid = null
+  if (typeof message === 'function') {
+    const usersByUid = new Map(users.map(user => [user.uid, user]))
+    messagesByUid = new Map()
+    for (const target of targets) {
+      if (!messagesByUid.has(target.uid)) messagesByUid.set(target.uid, message(usersByUid.get(target.uid)))
+      target.message = messagesByUid.get(target.uid)
+    }
+  }
+
+  const page = await sendToDevices(targets, message)
+  if (notificationRef) {
+    await recordRecipientResults(notificationRef, page.results, messagesByUid)
+  }
+  return page.stats
+}
+
+// Send to every device of the targeted audience, page by page, leaving out users
+// whose preferences exclude this category and recording per-recipient outcomes
+// on the history record when one is given
+const sendToAudience = async (criteria, message, { category, notificationRef } = {}) => {
+  const stats = emptySendStats()
+  for await (const page of iterateTargetUsers(criteria)) {
+    const { allowed: users, skipped } = applyPreferences(page, category)
+    if (skipped.length > 0) {
+      addSendStats(stats, countSkipped(skipped))
+      if (notificationRef) await recordSkippedRecipients(notificationRef, skipped)
+    }
+
+    const targets = await collectDeviceTargets(users)
+    if (targets.length === 0) continue
+    addSendStats(stats, await sendToUserDevices(users, targets, message, notificationRef))
+  }
+  return stats
+}
+
+// Send notification endpoint
+app.post('/api/send-notification', authorizeApiKeyOrStaff('notifications:send'), audit('notification.send'), async (req, res) => {
   try {
-    const snapshot = await db.collection('users').get();
-    const users = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate?.() || null,
-      updatedAt: doc.data().updatedAt?.toDate?.() || null
-    }));
+    const { title, body, templateId } = req.body;
+
+    // Validate required fields
+    if (!templateId && (!title || !body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title and body are required'
+      });
+    }
+
+    let template = null;
+    if (templateId) {
+      template = await loadTemplate(templateId);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+    }
+    const content = resolveNotificationContent(req.body, template);
+
+    let criteria;
+    let category;
+    try {
+      criteria = normalizeAudienceInput(req.body);
+      category = validateCategory(req.body.category || 'announcements');
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    if (criteria.segmentId && !(await segmentExists(criteria.segmentId))) {
+      return res.status(404).json({ success: false, error: 'Segment not found' });
+    }
+
+    const notificationRef = await createNotificationRecord({
+      ...content,
+      ...(template ? { templateId: template.id } : {}),
+      target: criteria,
+      category,
+      source: 'manual',
+      sentBy: req.user
+        ? { uid: req.user.uid, name: req.adminDisplayName }
+        : (req.apiKey ? { apiKeyId: req.apiKey.id, name: req.apiKey.name } : null)
+    });
+
+    // Page through the audience and send to every registered device in batches
+    const message = buildSendMessage({
+      ...content,
+      data: { ...content.data, notificationId: notificationRef.id, category }
+    }, template);
+    let stats;
+    try {
+      stats = await sendToAudience(criteria, message, { category, notificationRef });
+    } catch (error) {
+      await completeNotificationRecord(notificationRef, emptySendStats(), error);
+      throw error;
+    }
+    await completeNotificationRecord(notificationRef, stats);
+    auditDetails(req, { resourceId: notificationRef.id, metadata: { category, templateId: templateId || null, stats } });
+
+    if (stats.total === 0) {
+      return res.json({
+        success: false,
+        error: 'No users have enabled notifications for the specified criteria',
+        notificationId: notificationRef.id,
+        stats
+      });
+    }
 
     res.json({
       success: true,
-      users,
-      total: users.length
+      messageId: notificationRef.id,
+      notificationId: notificationRef.id,
+      stats
     });
+
   } catch (error) {
-    console.error('Error getting users:', error);
+    console.error('Error sending notification:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -557,470 +1318,6119 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-// GHL: Create new user via API key (no Firebase token required)
-app.post('/api/ghl/create-user', authenticateApiKey, async (req, res) => {
+// ---------------------------------------------------------------------------
+// Device registry
+//
+// Each signed-in user can have many push devices in `users/{uid}/devices/{deviceId}`.
+// Tokens FCM rejects as invalid are pruned automatically by `sendToDevices`.
+// ---------------------------------------------------------------------------
+
+const DEVICE_PLATFORMS = ['web', 'ios', 'android']
+
+const serializeDevice = (doc) => ({
+  id: doc.id,
+  platform: doc.data().platform,
+  userAgent: doc.data().userAgent || null,
+  lastSeenAt: doc.data().lastSeenAt?.toDate?.() || null,
+  createdAt: doc.data().createdAt?.toDate?.() || null
+})
+
+// Register (or refresh) a push device for the signed-in user
+const registerDeviceHandler = async (req, res) => {
   try {
-    console.log('GHL create user request received:', { body: req.body })
-    const { email, firstName = '', lastName = '', tempPassword } = req.body || {}
+    const { token, platform = 'web' } = req.body || {}
+    const userAgent = (req.body && req.body.userAgent) || req.get('User-Agent') || null
 
-    // Validate email format
-    if (!email || typeof email !== 'string') {
-      console.log('Invalid email provided:', email)
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ success: false, error: 'Valid token is required' })
     }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      console.log('Invalid email format:', email)
-      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ success: false, error: `platform must be one of: ${DEVICE_PLATFORMS.join(', ')}` })
     }
 
-    // Check duplicates
-    let userRecord
-    try {
-      console.log('Looking up user by email:', email)
-      userRecord = await admin.auth().getUserByEmail(email)
-      console.log('User already exists:', userRecord.uid)
-      return res.status(409).json({ success: false, error: 'User already exists with this email', uid: userRecord.uid })
-    } catch (err) {
-      if (!(err && err.code === 'auth/user-not-found')) {
-        console.error('Error looking up user:', err)
-        throw err
+    const uid = req.user.uid
+    const userRef = db.collection('users').doc(uid)
+    const deviceRef = userRef.collection('devices').doc(deviceIdForToken(token))
+    const existing = await deviceRef.get()
+    const now = admin.firestore.Timestamp.now()
+
+    const device = { uid, token, platform, userAgent, lastSeenAt: now }
+    if (!existing.exists) device.createdAt = now
+    await deviceRef.set(device, { merge: true })
+
+    // The token now lives in the registry; drop the legacy copy so it isn't sent twice
+    const userDoc = await userRef.get()
+    if (userDoc.exists && userDoc.data().fcmToken === token) {
+      await userRef.update({ fcmToken: admin.firestore.FieldValue.delete() })
+    }
+
+    res.status(existing.exists ? 200 : 201).json({ success: true, device: serializeDevice(await deviceRef.get()) })
+  } catch (error) {
+    console.error('Error registering device:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+// Unregister a push device of the signed-in user (by token, or device id in the body or path)
+const unregisterDeviceHandler = async (req, res) => {
+  try {
+    const { token } = req.body || {}
+    const deviceId = req.params.deviceId || req.body?.deviceId
+
+    if (!token && !deviceId) {
+      return res.status(400).json({ success: false, error: 'token or deviceId is required' })
+    }
+
+    const userRef = db.collection('users').doc(req.user.uid)
+    const targetId = deviceId || deviceIdForToken(token)
+    const deviceRef = userRef.collection('devices').doc(targetId)
+    const existing = await deviceRef.get()
+    if (existing.exists) {
+      await deviceRef.delete()
+    }
+
+    if (token) {
+      const userDoc = await userRef.get()
+      if (userDoc.exists && userDoc.data().fcmToken === token) {
+        await userRef.update({ fcmToken: admin.firestore.FieldValue.delete() })
       }
     }
 
-    // Create new user
-    const generated = tempPassword || Math.random().toString(36).slice(-8) + Math.random().toString(36).slice(-4)
-    userRecord = await admin.auth().createUser({ email, password: generated })
-    console.log('New user created (GHL):', userRecord.uid)
+    res.json({ success: true, deviceId: targetId, removed: existing.exists })
+  } catch (error) {
+    console.error('Error unregistering device:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
 
-    // Enforce password change on first sign-in
-    await admin.auth().setCustomUserClaims(userRecord.uid, { mustChangePassword: true })
+// List the signed-in user's registered devices
+const listDevicesHandler = async (req, res) => {
+  try {
+    const snapshot = await db.collection('users').doc(req.user.uid).collection('devices').get()
+    const devices = snapshot.docs.map(serializeDevice)
 
-    // Build Firestore data
-    const uid = userRecord.uid
-    const displayName = `${firstName || ''} ${lastName || ''}`.trim() || userRecord.displayName || ''
-    const userData = {
-      uid,
-      email,
-      userType: 'user',
-      accountType: 'Premium',
-      creationEndpoint: 'ghl_create_user',
-      createdBy: 'GHL',
-      accountStatus: 'Active',
-      is_triple_hugger: 'No',
-      updatedAt: admin.firestore.Timestamp.now(),
-      tempPassword: generated,
-      passwordGeneratedAt: admin.firestore.Timestamp.now()
+    res.json({ success: true, devices, total: devices.length })
+  } catch (error) {
+    console.error('Error listing devices:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+// The same handlers also back the /api/me/devices routes of the member API
+app.post('/api/devices/register', authenticateUser, registerDeviceHandler)
+app.post('/api/devices/unregister', authenticateUser, unregisterDeviceHandler)
+app.get('/api/devices', authenticateUser, listDevicesHandler)
+
+// ---------------------------------------------------------------------------
+// Notification preference endpoints
+// ---------------------------------------------------------------------------
+
+const preferencesResponse = (uid, user) => ({
+  success: true,
+  uid,
+  timezone: resolveTimezone(user.timezone),
+  preferences: resolvePreferences(user),
+  availableCategories: NOTIFICATION_CATEGORIES
+})
+
+// Apply a preferences update (and optional timezone) to users/{uid}
+const updatePreferences = async (uid, req, res) => {
+  const body = req.body
+  const userRef = db.collection('users').doc(uid)
+  const userDoc = await userRef.get()
+  if (!userDoc.exists) {
+    return res.status(404).json({ success: false, error: 'User not found' })
+  }
+
+  const { timezone } = body || {}
+  let preferences
+  try {
+    preferences = mergePreferencesInput(userDoc.data().notificationPreferences, body || {})
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      throw new Error('timezone must be a valid IANA timezone such as America/New_York')
     }
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message })
+  }
+
+  const update = { notificationPreferences: preferences, updatedAt: admin.firestore.Timestamp.now() }
+  if (timezone !== undefined) update.timezone = timezone
+  await userRef.update(update)
+
+  const response = preferencesResponse(uid, { ...userDoc.data(), ...update })
+  const { preferences: beforePreferences, timezone: beforeTimezone } = preferencesResponse(uid, userDoc.data())
+  auditDetails(req, {
+    targetUid: uid,
+    before: { preferences: beforePreferences, timezone: beforeTimezone },
+    after: { preferences: response.preferences, timezone: response.timezone }
+  })
+  res.json(response)
+}
+
+// Get the signed-in user's notification preferences
+app.get('/api/preferences', authenticateUser, async (req, res) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.user.uid).get()
+    res.json(preferencesResponse(req.user.uid, userDoc.exists ? userDoc.data() : {}))
+  } catch (error) {
+    console.error('Error getting preferences:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update the signed-in user's notification preferences
+app.put('/api/preferences', authenticateUser, async (req, res) => {
+  try {
+    await updatePreferences(req.user.uid, req, res)
+  } catch (error) {
+    console.error('Error updating preferences:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get a user's notification preferences
+app.get('/api/users/:uid/preferences', authorize('users:read'), async (req, res) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.params.uid).get()
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+
+    res.json(preferencesResponse(req.params.uid, userDoc.data()))
+  } catch (error) {
+    console.error('Error getting user preferences:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update a user's notification preferences
+app.put('/api/users/:uid/preferences', authorize('users:manage'), audit('user.preferences_update'), async (req, res) => {
+  try {
+    await updatePreferences(req.params.uid, req, res)
+  } catch (error) {
+    console.error('Error updating user preferences:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Number of documents matching a query, read as a count() aggregation
+const countOf = async (query) => (await query.count().get()).data().count
+
+// Get notification stats endpoint. Everything but usersWithNotifications is a
+// count() aggregation; that one needs the ids of users with a device (the
+// parent of each `users/{uid}/devices` doc) or a legacy `fcmToken`, so it reads
+// those documents without their fields.
+app.get('/api/notification-stats', authorize('notifications:read'), async (req, res) => {
+  try {
+    const users = db.collection('users');
+    const [totalUsers, registeredDevices, admins, regularUsers, trials, devicesSnapshot, legacyTokenSnapshot] = await Promise.all([
+      countOf(users),
+      countOf(db.collectionGroup('devices')),
+      countOf(users.where('userType', 'in', STAFF_ROLES)),
+      countOf(users.where('userType', '==', 'user')),
+      trialStats(),
+      db.collectionGroup('devices').select().get(),
+      users.where('fcmToken', '!=', null).select().get()
+    ]);
+
+    const uidsWithNotifications = new Set([
+      ...devicesSnapshot.docs.map(doc => doc.ref.parent.parent.id),
+      ...legacyTokenSnapshot.docs.map(doc => doc.id)
+    ]);
+
+    const stats = {
+      totalUsers,
+      usersWithNotifications: uidsWithNotifications.size,
+      registeredDevices,
+      admins,
+      regularUsers,
+      trials
+    };
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Notification history endpoints
+// ---------------------------------------------------------------------------
+
+const parseDateQuery = (value) => {
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date
+}
+
+const parseLimitQuery = (value, fallback = 50, max = 200) => Math.min(parseInt(value, 10) || fallback, max)
+
+// Read the named query parameters, each a single string. A repeated parameter
+// (`?status=a&status=b`) arrives as an array and is refused, as is a value
+// outside its allowed list (`null` allows any value). Empty values are left out.
+// Throws on invalid parameters.
+const parseQueryParams = (query, allowedValues) => {
+  const params = {}
+  for (const [name, allowed] of Object.entries(allowedValues)) {
+    const value = query[name]
+    if (value === undefined || value === '') continue
+    if (typeof value !== 'string') throw new Error(`${name} must be given once`)
+    if (allowed && !allowed.includes(value)) throw new Error(`${name} must be one of: ${allowed.join(', ')}`)
+    params[name] = value
+  }
+  return params
+}
+
+const serializeNotification = (doc) => {
+  const data = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.() || null,
+    completedAt: data.completedAt?.toDate?.() || null
+  }
+}
+
+const serializeRecipient = (doc) => ({
+  ...doc.data(),
+  sentAt: doc.data().sentAt?.toDate?.() || null,
+  readAt: doc.data().readAt?.toDate?.() || null
+})
+
+// List sends, newest first. Filters: source, status, sentBy (uid), scheduleId, from, to
+app.get('/api/notifications', authorize('notifications:read'), async (req, res) => {
+  try {
+    const { source, status, sentBy, scheduleId, from, to, cursor } = req.query
+    const limit = parseLimitQuery(req.query.limit)
+
+    let query = db.collection('notifications')
+    if (source) query = query.where('source', '==', source)
+    if (status) query = query.where('status', '==', status)
+    if (sentBy) query = query.where('sentBy.uid', '==', sentBy)
+    if (scheduleId) query = query.where('scheduleId', '==', scheduleId)
+    if (from) {
+      const fromDate = parseDateQuery(from)
+      if (!fromDate) return res.status(400).json({ success: false, error: 'Invalid from date' })
+      query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(fromDate))
+    }
+    if (to) {
+      const toDate = parseDateQuery(to)
+      if (!toDate) return res.status(400).json({ success: false, error: 'Invalid to date' })
+      query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(toDate))
+    }
+    query = query.orderBy('createdAt', 'desc').limit(limit)
+
+    if (cursor) {
+      const cursorDoc = await db.collection('notifications').doc(cursor).get()
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' })
+      }
+      query = query.startAfter(cursorDoc)
+    }
+
+    const snapshot = await query.get()
+    const notifications = snapshot.docs.map(serializeNotification)
+
+    res.json({
+      success: true,
+      notifications,
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    })
+  } catch (error) {
+    console.error('Error listing notifications:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one send
+app.get('/api/notifications/:id', authorize('notifications:read'), async (req, res) => {
+  try {
+    const doc = await db.collection('notifications').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Notification not found' })
+    }
+
+    res.json({ success: true, notification: serializeNotification(doc) })
+  } catch (error) {
+    console.error('Error getting notification:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List per-recipient outcomes of one send, optionally ?status=delivered|failed
+app.get('/api/notifications/:id/recipients', authorize('notifications:read'), async (req, res) => {
+  try {
+    const notificationRef = db.collection('notifications').doc(req.params.id)
+    const doc = await notificationRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Notification not found' })
+    }
+
+    const limit = parseLimitQuery(req.query.limit, 100, 500)
+    let query = notificationRef.collection('recipients')
+    if (req.query.status) query = query.where('status', '==', req.query.status)
+    query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(limit)
+    if (req.query.cursor) query = query.startAfter(req.query.cursor)
+
+    const snapshot = await query.get()
+    const recipients = snapshot.docs.map(serializeRecipient)
+
+    res.json({
+      success: true,
+      recipients,
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    })
+  } catch (error) {
+    console.error('Error listing notification recipients:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// One page of a user's recipient records, newest first, each with the send it
+// belongs to. `statuses` narrows the records; the cursor is a notification id.
+// Returns null when the cursor is not one of the user's notifications.
+const notificationHistoryPage = async (uid, { limit, cursor, statuses }) => {
+  let query = db.collectionGroup('recipients').where('uid', '==', uid)
+  if (statuses) query = query.where('status', 'in', statuses)
+  query = query.orderBy('sentAt', 'desc').limit(limit)
+
+  if (cursor) {
+    const cursorDoc = await db.collection('notifications').doc(cursor)
+      .collection('recipients').doc(uid).get()
+    if (!cursorDoc.exists) return null
+    query = query.startAfter(cursorDoc)
+  }
+
+  const snapshot = await query.get()
+  const notificationDocs = snapshot.empty
+    ? []
+    : await db.getAll(...snapshot.docs.map(doc => doc.ref.parent.parent))
+
+  return {
+    entries: snapshot.docs.map((doc, index) => ({
+      doc,
+      notification: notificationDocs[index].exists ? notificationDocs[index].data() : {}
+    })),
+    nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].data().notificationId : null
+  }
+}
+
+// A user's notification history, newest first
+app.get('/api/users/:uid/notifications', authorize('users:read'), async (req, res) => {
+  try {
+    const { uid } = req.params
+    const page = await notificationHistoryPage(uid, {
+      limit: parseLimitQuery(req.query.limit),
+      cursor: req.query.cursor
+    })
+    if (!page) {
+      return res.status(400).json({ success: false, error: 'Invalid cursor' })
+    }
+
+    const notifications = page.entries.map(({ doc, notification }) => ({
+      ...serializeRecipient(doc),
+      // Personalized sends store each recipient's rendered text
+      title: doc.data().title || notification.title || null,
+      body: doc.data().body || notification.body || null,
+      source: notification.source || null,
+      sentBy: notification.sentBy || null
+    }))
+
+    res.json({ success: true, uid, notifications, nextCursor: page.nextCursor })
+  } catch (error) {
+    console.error('Error getting user notification history:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Member self-service ("me") endpoints
+//
+// Everything here acts on the caller's own account, identified by a regular
+// Firebase ID token; no staff role is needed.
+// ---------------------------------------------------------------------------
+
+// Profile fields members see of themselves
+const ME_PROFILE_FIELDS = ['uid', 'email', 'firstName', 'lastName', 'displayName', 'accountType', 'createdAt']
+// Fields members may change with PATCH /api/me
+const ME_UPDATABLE_FIELDS = ['firstName', 'lastName', 'timezone', 'locale', 'preferences']
+// Recipient statuses that show up in the inbox; `skipped` sends never reached the member
+const INBOX_STATUSES = ['delivered', 'failed']
+
+const meResponse = (req, userDoc) => {
+  const data = userDoc.data() || {}
+  const { id, ...profile } = sanitizeUser(userDoc, ME_PROFILE_FIELDS)
+  const role = req.user.role || (ROLES.includes(data.userType) ? data.userType : 'user')
+  return {
+    success: true,
+    profile: {
+      ...profile,
+      uid: id,
+      timezone: resolveTimezone(data.timezone),
+      locale: data.locale || null
+    },
+    role,
+    permissions: ROLE_PERMISSIONS[role] || [],
+    status: data.accountStatus || 'Active',
+    tier: userTier(data),
+    entitlements: tierEntitlements(userTier(data)),
+    trial: data.trialStatus
+      ? { status: data.trialStatus, endsAt: data.trialEndsAt?.toDate?.() || null }
+      : null,
+    preferences: resolvePreferences(data),
+    mustChangePassword: !!req.user.mustChangePassword
+  }
+}
+
+const normalizeNameInput = (value, field) => {
+  if (typeof value !== 'string' || value.trim().length > 100) {
+    throw new Error(`${field} must be a string of at most 100 characters`)
+  }
+  return value.trim()
+}
+
+const normalizeLocaleInput = (locale) => {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale)
+    if (typeof locale === 'string' && canonical) return canonical
+  } catch (err) {
+    // Fall through to the validation error
+  }
+  throw new Error('locale must be a BCP 47 language tag such as en-US')
+}
+
+// Get the caller's own profile, role, account status and hugger tier
+app.get('/api/me', authenticateUser, async (req, res) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.user.uid).get()
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+
+    res.json(meResponse(req, userDoc))
+  } catch (error) {
+    console.error('Error getting own profile:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update the caller's name, timezone, locale and notification preferences
+app.patch('/api/me', authenticateUser, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const fields = Object.keys(body)
+    const notAllowed = fields.filter(field => !ME_UPDATABLE_FIELDS.includes(field))
+    if (notAllowed.length) {
+      return res.status(400).json({ success: false, error: `These fields cannot be changed here: ${notAllowed.join(', ')}` })
+    }
+    if (!fields.length) {
+      return res.status(400).json({ success: false, error: `Provide at least one of: ${ME_UPDATABLE_FIELDS.join(', ')}` })
+    }
+
+    const userRef = db.collection('users').doc(req.user.uid)
+    const userDoc = await userRef.get()
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+    const current = userDoc.data()
+
+    const update = {}
+    try {
+      if (body.firstName !== undefined) update.firstName = normalizeNameInput(body.firstName, 'firstName')
+      if (body.lastName !== undefined) update.lastName = normalizeNameInput(body.lastName, 'lastName')
+      if (body.timezone !== undefined) {
+        if (!isValidTimezone(body.timezone)) {
+          throw new Error('timezone must be a valid IANA timezone such as America/New_York')
+        }
+        update.timezone = body.timezone
+      }
+      if (body.locale !== undefined) update.locale = normalizeLocaleInput(body.locale)
+      if (body.preferences !== undefined) {
+        if (!body.preferences || typeof body.preferences !== 'object' || Array.isArray(body.preferences)) {
+          throw new Error('preferences must be an object')
+        }
+        update.notificationPreferences = mergePreferencesInput(current.notificationPreferences, body.preferences)
+      }
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    if (update.firstName !== undefined || update.lastName !== undefined) {
+      const firstName = update.firstName ?? current.firstName ?? ''
+      const lastName = update.lastName ?? current.lastName ?? ''
+      update.displayName = `${firstName} ${lastName}`.trim()
+    }
+    update.updatedAt = admin.firestore.Timestamp.now()
+    await userRef.update(update)
+
+    if (update.displayName !== undefined && update.displayName !== current.displayName) {
+      await admin.auth().updateUser(req.user.uid, { displayName: update.displayName || null })
+    }
+
+    res.json(meResponse(req, await userRef.get()))
+  } catch (error) {
+    console.error('Error updating own profile:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Register, list and remove the caller's push devices
+app.post('/api/me/devices', authenticateUser, registerDeviceHandler)
+app.get('/api/me/devices', authenticateUser, listDevicesHandler)
+app.delete('/api/me/devices/:deviceId', authenticateUser, unregisterDeviceHandler)
+
+// The caller's notification inbox, newest first
+app.get('/api/me/notifications', authenticateUser, async (req, res) => {
+  try {
+    const page = await notificationHistoryPage(req.user.uid, {
+      limit: parseLimitQuery(req.query.limit),
+      cursor: req.query.cursor,
+      statuses: INBOX_STATUSES
+    })
+    if (!page) {
+      return res.status(400).json({ success: false, error: 'Invalid cursor' })
+    }
+
+    const notifications = page.entries.map(({ doc, notification }) => ({
+      notificationId: doc.data().notificationId,
+      title: doc.data().title || notification.title || null,
+      body: doc.data().body || notification.body || null,
+      category: notification.category || null,
+      sentAt: doc.data().sentAt?.toDate?.() || null,
+      readAt: doc.data().readAt?.toDate?.() || null
+    }))
+
+    res.json({ success: true, notifications, nextCursor: page.nextCursor })
+  } catch (error) {
+    console.error('Error getting own notifications:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Mark one notification of the caller's inbox as read
+app.post('/api/me/notifications/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const recipientRef = db.collection('notifications').doc(req.params.id)
+      .collection('recipients').doc(req.user.uid)
+    const recipientDoc = await recipientRef.get()
+    if (!recipientDoc.exists || !INBOX_STATUSES.includes(recipientDoc.data().status)) {
+      return res.status(404).json({ success: false, error: 'Notification not found' })
+    }
+
+    let readAt = recipientDoc.data().readAt
+    if (!readAt) {
+      readAt = admin.firestore.Timestamp.now()
+      await recipientRef.update({ readAt })
+    }
+
+    res.json({ success: true, notificationId: req.params.id, readAt: readAt.toDate() })
+  } catch (error) {
+    console.error('Error marking notification as read:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+const PASSWORD_MIN_LENGTH = 8
+const PASSWORD_MAX_LENGTH = 128
+// Like Firebase's own "requires recent login": the password can only be
+// changed with a token from a sign-in at most this long ago
+const PASSWORD_CHANGE_MAX_AUTH_AGE_SECONDS = 5 * 60
+
+// Replace the caller's password. This is the only place mustChangePassword is
+// cleared for members: a password change made anywhere else leaves no trace
+// the backend could check. All sessions are signed out afterwards, so the
+// member signs in again with the new password.
+app.post('/api/me/password', authenticateUser, audit('user.change_password'), async (req, res) => {
+  try {
+    const uid = req.user.uid
+    const { password } = req.body || {}
+    auditDetails(req, { targetUid: uid })
+
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+      return res.status(400).json({ success: false, error: `password must be ${PASSWORD_MIN_LENGTH} to ${PASSWORD_MAX_LENGTH} characters` })
+    }
+    if (!(Date.now() / 1000 - (req.user.auth_time || 0) <= PASSWORD_CHANGE_MAX_AUTH_AGE_SECONDS)) {
+      return res.status(401).json({ success: false, error: 'Sign in again to change your password' })
+    }
+
+    await admin.auth().updateUser(uid, { password })
+    await mergeUserClaims(uid, { mustChangePassword: false })
+    await admin.auth().revokeRefreshTokens(uid)
+
+    res.json({ success: true, message: 'Password changed. Sign in again with the new password.' })
+  } catch (error) {
+    console.error('Error changing password:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Kept for app versions that change the password with the Firebase client SDK
+// and then ask for the claim to be cleared. The backend cannot tell whether
+// that change happened, so the claim is only ever cleared by POST
+// /api/me/password; while it is set this answers 409.
+const passwordChangedHandler = async (req, res) => {
+  try {
+    const uid = req.user.uid
+
+    // Older app versions send their own uid in the body; anyone else's is refused
+    if (req.body?.uid && req.body.uid !== uid) {
+      return res.status(403).json({ success: false, error: 'You can only update your own account' })
+    }
+
+    auditDetails(req, { targetUid: uid })
+
+    const userRecord = await admin.auth().getUser(uid)
+    if (userRecord.customClaims?.mustChangePassword) {
+      return res.status(409).json({ success: false, error: 'Change your password with POST /api/me/password' })
+    }
+
+    res.json({ success: true, message: 'Password change requirement removed' })
+  } catch (error) {
+    console.error('Error removing password change requirement:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+// Confirm no password change is outstanding
+app.post('/api/me/password-changed', authenticateUser, audit('user.remove_password_requirement'), passwordChangedHandler)
+
+// ---------------------------------------------------------------------------
+// Saved segment endpoints
+// ---------------------------------------------------------------------------
+
+const serializeSegment = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  createdAt: doc.data().createdAt?.toDate?.() || null,
+  updatedAt: doc.data().updatedAt?.toDate?.() || null
+})
+
+// Create a saved segment
+app.post('/api/segments', authorize('content:manage'), audit('segment.create'), async (req, res) => {
+  try {
+    const { name, description = '', filter, includeInactive = false } = req.body || {}
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ success: false, error: 'Segment name is required' })
+    }
+    try {
+      parseSegment(filter)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    const now = admin.firestore.Timestamp.now()
+    const docRef = await db.collection('segments').add({
+      name: name.trim(),
+      description,
+      filter: filter.trim(),
+      includeInactive: !!includeInactive,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid,
+      createdAt: now,
+      updatedAt: now
+    })
+
+    res.status(201).json({ success: true, segment: serializeSegment(await docRef.get()) })
+  } catch (error) {
+    console.error('Error creating segment:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List saved segments
+app.get('/api/segments', authorize('content:manage'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('segments').orderBy('name').get()
+    const segments = snapshot.docs.map(serializeSegment)
+
+    res.json({ success: true, segments, total: segments.length })
+  } catch (error) {
+    console.error('Error listing segments:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Count the users an ad-hoc audience would reach.
+// Body: { segment } or { segmentId } or { targetType } / { targetUsers }, plus optional includeInactive
+app.post('/api/segments/count', authorize('content:manage'), async (req, res) => {
+  try {
+    let criteria
+    try {
+      criteria = normalizeAudienceInput(req.body || {})
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+    if (criteria.segmentId && !(await segmentExists(criteria.segmentId))) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+
+    res.json({ success: true, count: await countAudience(criteria) })
+  } catch (error) {
+    console.error('Error counting segment:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one saved segment
+app.get('/api/segments/:id', authorize('content:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('segments').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+
+    res.json({ success: true, segment: serializeSegment(doc) })
+  } catch (error) {
+    console.error('Error getting segment:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Count the users a saved segment currently matches
+app.get('/api/segments/:id/count', authorize('content:manage'), async (req, res) => {
+  try {
+    if (!(await segmentExists(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+
+    res.json({ success: true, id: req.params.id, count: await countAudience({ segmentId: req.params.id }) })
+  } catch (error) {
+    console.error('Error counting segment:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update a saved segment. Only the fields provided are changed.
+app.put('/api/segments/:id', authorize('content:manage'), audit('segment.update'), async (req, res) => {
+  try {
+    const docRef = db.collection('segments').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+    auditDetails(req, { before: serializeSegment(doc) })
+
+    const { name, description, filter, includeInactive } = req.body || {}
+    const update = { updatedAt: admin.firestore.Timestamp.now() }
+    if (name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({ success: false, error: 'Segment name is required' })
+      }
+      update.name = name.trim()
+    }
+    if (description !== undefined) update.description = description
+    if (filter !== undefined) {
+      try {
+        parseSegment(filter)
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message })
+      }
+      update.filter = filter.trim()
+    }
+    if (includeInactive !== undefined) update.includeInactive = !!includeInactive
+
+    await docRef.update(update)
+
+    res.json({ success: true, segment: serializeSegment(await docRef.get()) })
+  } catch (error) {
+    console.error('Error updating segment:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Delete a saved segment. Refused while an active or paused schedule uses it.
+app.delete('/api/segments/:id', authorize('content:manage'), audit('segment.delete'), async (req, res) => {
+  try {
+    const docRef = db.collection('segments').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+    auditDetails(req, { before: serializeSegment(doc) })
+
+    const schedules = await db.collection('notificationSchedules')
+      .where('segmentId', '==', req.params.id)
+      .where('status', 'in', ['active', 'paused'])
+      .get()
+    if (!schedules.empty) {
+      return res.status(409).json({
+        success: false,
+        error: 'Segment is used by existing schedules',
+        scheduleIds: schedules.docs.map(scheduleDoc => scheduleDoc.id)
+      })
+    }
+
+    await docRef.delete()
+
+    res.json({ success: true, id: doc.id, deleted: true })
+  } catch (error) {
+    console.error('Error deleting segment:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Notification template endpoints
+// ---------------------------------------------------------------------------
+
+const serializeTemplate = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  createdAt: doc.data().createdAt?.toDate?.() || null,
+  updatedAt: doc.data().updatedAt?.toDate?.() || null
+})
+
+// Create a notification template
+app.post('/api/templates', authorize('content:manage'), audit('template.create'), async (req, res) => {
+  try {
+    let template
+    try {
+      template = normalizeTemplateInput(req.body || {})
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    const now = admin.firestore.Timestamp.now()
+    const docRef = await db.collection('notificationTemplates').add({
+      ...template,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid,
+      createdAt: now,
+      updatedAt: now
+    })
+
+    res.status(201).json({ success: true, template: serializeTemplate(await docRef.get()) })
+  } catch (error) {
+    console.error('Error creating template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List notification templates
+app.get('/api/templates', authorize('content:manage'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('notificationTemplates').orderBy('name').get()
+    const templates = snapshot.docs.map(serializeTemplate)
+
+    res.json({ success: true, templates, total: templates.length, variables: TEMPLATE_VARIABLES })
+  } catch (error) {
+    console.error('Error listing templates:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one notification template
+app.get('/api/templates/:id', authorize('content:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('notificationTemplates').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Template not found' })
+    }
+
+    res.json({ success: true, template: serializeTemplate(doc) })
+  } catch (error) {
+    console.error('Error getting template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update a notification template. Fields not provided are kept.
+app.put('/api/templates/:id', authorize('content:manage'), audit('template.update'), async (req, res) => {
+  try {
+    const docRef = db.collection('notificationTemplates').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Template not found' })
+    }
+    auditDetails(req, { before: serializeTemplate(doc) })
+
+    const current = doc.data()
+    let template
+    try {
+      template = normalizeTemplateInput({
+        name: current.name,
+        title: current.title,
+        body: current.body,
+        icon: current.icon,
+        badge: current.badge,
+        data: current.data,
+        fallbacks: current.fallbacks,
+        ...req.body
+      })
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    // set() without merge so cleared icon/badge/data are removed
+    await docRef.set({
+      ...template,
+      createdBy: current.createdBy,
+      createdByUid: current.createdByUid,
+      createdAt: current.createdAt,
+      updatedAt: admin.firestore.Timestamp.now()
+    })
+
+    res.json({ success: true, template: serializeTemplate(await docRef.get()) })
+  } catch (error) {
+    console.error('Error updating template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Delete a notification template. Refused while an active or paused schedule uses it.
+app.delete('/api/templates/:id', authorize('content:manage'), audit('template.delete'), async (req, res) => {
+  try {
+    const docRef = db.collection('notificationTemplates').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Template not found' })
+    }
+    auditDetails(req, { before: serializeTemplate(doc) })
+
+    const schedules = await db.collection('notificationSchedules')
+      .where('templateId', '==', req.params.id)
+      .where('status', 'in', ['active', 'paused'])
+      .get()
+    if (!schedules.empty) {
+      return res.status(409).json({
+        success: false,
+        error: 'Template is used by existing schedules',
+        scheduleIds: schedules.docs.map(scheduleDoc => scheduleDoc.id)
+      })
+    }
+
+    await docRef.delete()
+
+    res.json({ success: true, id: doc.id, deleted: true })
+  } catch (error) {
+    console.error('Error deleting template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Preview a template rendered for a given user (or with only fallbacks)
+app.post('/api/templates/:id/preview', authorize('content:manage'), async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id)
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' })
+    }
+
+    const { uid } = req.body || {}
+    let user = {}
+    if (uid) {
+      const userDoc = await db.collection('users').doc(uid).get()
+      if (!userDoc.exists) {
+        return res.status(404).json({ success: false, error: 'User not found' })
+      }
+      user = userDoc.data()
+    }
+
+    res.json({ success: true, id: template.id, uid: uid || null, ...renderTemplate(template, user) })
+  } catch (error) {
+    console.error('Error previewing template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Notification schedules
+//
+// Schedules live in `notificationSchedules/{id}`. Times are wall-clock times in
+// each recipient's own timezone (`users/{uid}.timezone`, IANA name), so a daily
+// 08:00 schedule reaches every user at 08:00 where they are. The cron endpoint
+// looks back over a short window for slots that came due, and each delivered
+// slot is claimed as `notificationSchedules/{id}/runs/{slot}_{timezone}` so a
+// slot is never sent twice even if cron fires more often than expected.
+// Users are only read when a slot is due in a timezone the schedule's
+// recipients had last time (`timezones`); a delivery pass that does not fit in
+// one invocation is kept on the schedule as `pass` and resumed by the next.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC'
+// How far back a cron run looks for due slots. Longer than the 15 minute cron
+// interval so a late or failed run is caught up; the runs docs prevent repeats.
+const SCHEDULE_WINDOW_MINUTES = parseInt(process.env.SCHEDULE_WINDOW_MINUTES, 10) || 60
+// Time one cron invocation spends delivering before it saves its place, so it
+// ends inside a 10s function timeout; the next run resumes from there
+const SCHEDULE_RUN_BUDGET_MS = (parseInt(process.env.SCHEDULE_RUN_BUDGET_SECONDS, 10) || 7) * 1000
+const SCHEDULE_PASS_LEASE_MS = SCHEDULE_RUN_BUDGET_MS + 60 * 1000
+const SCHEDULE_RECURRENCES = ['once', 'daily', 'weekly', 'cron']
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+const resolveTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE)
+
+// Parse one cron field ("*", "5", "1-5", "*/15", "1,3,5") into the set of allowed values
+const parseCronField = (field, min, max) => {
+  const values = new Set()
+  for (const part of String(field).split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/)
+    if (!match) throw new Error(`Invalid cron field "${field}"`)
+    const step = match[2] ? parseInt(match[2], 10) : 1
+    let start = min
+    let end = max
+    if (match[1] !== '*') {
+      const [from, to] = match[1].split('-').map(n => parseInt(n, 10))
+      start = from
+      end = to === undefined ? (match[2] ? max : from) : to
+    }
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron field "${field}"`)
+    }
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+  return values
+}
+
+// Parse a 5-field cron expression: minute hour day-of-month month day-of-week
+const parseCron = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/)
+  if (fields.length !== 5) throw new Error('Cron expression must have 5 fields')
+  const dow = parseCronField(fields[4], 0, 7)
+  if (dow.has(7)) dow.add(0) // 7 is also Sunday
+  return {
+    minute: parseCronField(fields[0], 0, 59),
+    hour: parseCronField(fields[1], 0, 23),
+    dom: parseCronField(fields[2], 1, 31),
+    month: parseCronField(fields[3], 1, 12),
+    dow,
+    domRestricted: fields[2] !== '*',
+    dowRestricted: fields[4] !== '*'
+  }
+}
+
+const cronMatches = (cron, local) => {
+  if (!cron.minute.has(local.minute) || !cron.hour.has(local.hour) || !cron.month.has(local.month)) {
+    return false
+  }
+  // Standard cron semantics: when both day fields are restricted either may match
+  if (cron.domRestricted && cron.dowRestricted) {
+    return cron.dom.has(local.day) || cron.dow.has(local.weekday)
+  }
+  return cron.dom.has(local.day) && cron.dow.has(local.weekday)
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+const localFormatters = new Map()
+
+// Wall-clock parts of an instant in the given timezone
+const getLocalParts = (date, timezone) => {
+  if (!localFormatters.has(timezone)) {
+    localFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }))
+  }
+  const parts = {}
+  for (const { type, value } of localFormatters.get(timezone).formatToParts(date)) {
+    parts[type] = value
+  }
+  const local = {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  }
+  local.date = `${parts.year}-${parts.month}-${parts.day}`
+  local.time = `${parts.hour}:${parts.minute}`
+  return local
+}
+
+// Most recent local slot ("YYYY-MM-DDTHH:MM") in (from, to] at which the schedule fires in a timezone
+const findDueSlot = (schedule, timezone, from, to) => {
+  const cron = schedule.recurrence === 'once' ? null : parseCron(schedule.cron)
+  const minute = 60 * 1000
+  for (let t = Math.floor(to.getTime() / minute) * minute; t > from.getTime(); t -= minute) {
+    const local = getLocalParts(new Date(t), timezone)
+    const due = cron
+      ? cronMatches(cron, local)
+      : local.date === schedule.date && local.time === schedule.time
+    if (due) return `${local.date}T${local.time}`
+  }
+  return null
+}
+
+// Validate an admin-supplied schedule and normalise it to the stored shape
+const normalizeScheduleInput = (input = {}) => {
+  const {
+    name,
+    title,
+    body,
+    templateId,
+    category = 'daily_hug',
+    icon,
+    badge,
+    data,
+    recurrence,
+    date,
+    time,
+    daysOfWeek,
+    cron,
+    hugNumber,
+    hugLibrary
+  } = input
+
+  if (!hugLibrary && !templateId && (!title || !body)) {
+    throw new Error('Title and body (or templateId, or hugLibrary) are required')
+  }
+  if (!SCHEDULE_RECURRENCES.includes(recurrence)) {
+    throw new Error(`recurrence must be one of: ${SCHEDULE_RECURRENCES.join(', ')}`)
+  }
+  const audience = normalizeAudienceInput(input)
+
+  const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/
+  if (recurrence !== 'cron' && !timeRegex.test(time || '')) {
+    throw new Error('time must be in HH:MM (24h) format')
+  }
+
+  const schedule = {
+    name: name || title || (hugLibrary ? 'Daily hug' : ''),
+    ...audience,
+    category: validateCategory(category),
+    recurrence
+  }
+  if (hugLibrary) {
+    schedule.hugLibrary = true
+  } else if (templateId) {
+    schedule.templateId = String(templateId)
+  } else {
+    schedule.title = title
+    schedule.body = body
+  }
+  if (icon) schedule.icon = icon
+  if (badge) schedule.badge = badge
+  if (data) schedule.data = data
+  if (hugNumber !== undefined && hugNumber !== null) schedule.hugNumber = validateHugNumber(hugNumber)
+
+  const [hour, minute] = (time || '').split(':').map(n => parseInt(n, 10))
+  if (recurrence === 'once') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+      throw new Error('date must be in YYYY-MM-DD format')
+    }
+    schedule.date = date
+    schedule.time = time
+  } else if (recurrence === 'daily') {
+    schedule.time = time
+    schedule.cron = `${minute} ${hour} * * *`
+  } else if (recurrence === 'weekly') {
+    const days = Array.isArray(daysOfWeek) ? daysOfWeek : []
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('daysOfWeek must be a non-empty array of 0-6 (0 = Sunday)')
+    }
+    schedule.time = time
+    schedule.daysOfWeek = [...new Set(days)].sort()
+    schedule.cron = `${minute} ${hour} * * ${schedule.daysOfWeek.join(',')}`
+  } else {
+    parseCron(cron) // throws on invalid expressions
+    schedule.cron = String(cron).trim()
+  }
+
+  return schedule
+}
+
+// A one-off schedule is finished once its local time has passed in the last timezone (UTC-12)
+const isOnceScheduleFinished = (schedule, now) => {
+  const utcSlot = Date.parse(`${schedule.date}T${schedule.time}:00Z`)
+  return now.getTime() >= utcSlot + 12 * 60 * 60 * 1000
+}
+
+// Whether a slot came due in (from, to] in any timezone the schedule's
+// recipients had on its last delivery pass. Before the first pass nothing is
+// known, so every schedule starts with one.
+const isScheduleDue = (schedule, from, to) => {
+  if (!Array.isArray(schedule.timezones)) return true
+  return schedule.timezones.some(timezone => findDueSlot(schedule, timezone, from, to))
+}
+
+// Take (or start) the schedule's delivery pass for this invocation. A pass is
+// leased so overlapping cron runs never work on the same one; returns null when
+// another run holds it.
+const leaseSchedulePass = (scheduleRef, newPass) => db.runTransaction(async (tx) => {
+  const pass = (await tx.get(scheduleRef)).data()?.pass || newPass
+  if (!pass || pass.leaseUntil?.toMillis() > Date.now()) return null
+  const leased = { ...pass, leaseUntil: admin.firestore.Timestamp.fromMillis(Date.now() + SCHEDULE_PASS_LEASE_MS) }
+  tx.update(scheduleRef, { pass: leased })
+  return leased
+})
+
+// Deliver the slots of one schedule that came due since its last pass. A pass
+// covers every target user once, in uid order; when the invocation runs out of
+// time (`deadline`) the cursor is saved and the next cron run carries on.
+// `loadHugs` returns the hug library, shared by every schedule in one cron run.
+const runSchedule = async (scheduleDoc, now, deadline, loadHugs = () => loadHugLibrary(now)) => {
+  const schedule = scheduleDoc.data()
+  const activeSince = schedule.activeSince?.toDate?.() || new Date(0)
+
+  let newPass = null
+  if (!schedule.pass) {
+    const from = new Date(Math.max(
+      now.getTime() - SCHEDULE_WINDOW_MINUTES * 60 * 1000,
+      activeSince.getTime(),
+      schedule.coveredThrough?.toMillis?.() || 0
+    ))
+    if (!isScheduleDue(schedule, from, now)) {
+      if (schedule.recurrence === 'once' && isOnceScheduleFinished(schedule, now)) {
+        await scheduleDoc.ref.update({ status: 'completed', updatedAt: admin.firestore.Timestamp.now() })
+      }
+      return { scheduleId: scheduleDoc.id, runs: [] }
+    }
+    newPass = {
+      from: admin.firestore.Timestamp.fromDate(from),
+      to: admin.firestore.Timestamp.fromDate(now),
+      cursor: null,
+      runIds: [],
+      timezones: []
+    }
+  }
+  const pass = await leaseSchedulePass(scheduleDoc.ref, newPass)
+  if (!pass) return { scheduleId: scheduleDoc.id, runs: [], pending: true }
+  const windowStart = pass.from.toDate()
+  const windowEnd = pass.to.toDate()
+  // A pass left over from before the schedule was paused is wound up unsent
+  const stale = windowEnd < activeSince
+
+  let template = null
+  if (schedule.templateId) {
+    template = await loadTemplate(schedule.templateId)
+    if (!template) throw new Error(`Template ${schedule.templateId} not found`)
+  }
+  const content = resolveNotificationContent(schedule, template)
+  // Library schedules send each recipient their own pick instead of one text
+  const hugs = schedule.hugLibrary ? await loadHugs() : null
+  if (hugs) Object.assign(content, { title: HUG_TITLE, body: null })
+
+  const slotsByTimezone = new Map() // timezone -> due slot or null
+  const runsByTimezone = new Map() // timezone -> claimed run or null
+  const runIds = new Set(pass.runIds)
+  const timezones = new Set(pass.timezones)
+
+  // A run whose invocation stopped before its history record was written
+  // cannot be continued and ends as failed
+  const openRun = (runRef, notificationId, { timezone, localTime, stats, error }) => {
+    const data = { ...content.data, scheduleId: scheduleDoc.id, notificationId, category: schedule.category }
+    const message = hugs ? null : buildSendMessage({ ...content, data }, template)
+    const notificationRef = notificationId ? db.collection('notifications').doc(notificationId) : null
+    return {
+      ref: runRef,
+      notificationRef,
+      message,
+      data,
+      timezone,
+      localTime,
+      stats: stats || emptySendStats(),
+      error: error || (notificationRef ? undefined : 'Interrupted before sending')
+    }
+  }
+
+  // Claim the slot first; create() fails if another invocation already has it.
+  // A run this pass claimed in an earlier invocation is picked up again.
+  const claimRun = async (timezone) => {
+    if (runsByTimezone.has(timezone)) return runsByTimezone.get(timezone)
+    const slot = slotsByTimezone.get(timezone)
+    const runRef = scheduleDoc.ref.collection('runs').doc(`${slot}_${timezone.replace(/\//g, '-')}`)
+    let run = null
+    if (runIds.has(runRef.id)) {
+      const runData = (await runRef.get()).data()
+      run = openRun(runRef, runData.notificationId, { timezone, localTime: slot, stats: runData.stats, error: runData.error })
+    } else {
+      try {
+        await runRef.create({
+          scheduleId: scheduleDoc.id,
+          timezone,
+          localTime: slot,
+          status: 'sending',
+          startedAt: admin.firestore.Timestamp.now()
+        })
+        runIds.add(runRef.id)
+        await scheduleDoc.ref.update({ 'pass.runIds': [...runIds] })
+        // Each run is its own send in the notification history
+        const notificationRef = await createNotificationRecord({
+          ...content,
+          ...(template ? { templateId: template.id } : {}),
+          target: { ...normalizeAudienceInput(schedule), ...(schedule.hugNumber ? { hugNumber: schedule.hugNumber } : {}), timezone },
+          category: schedule.category,
+          source: 'schedule',
+          sentBy: { uid: schedule.createdByUid || null, name: schedule.createdBy || 'Admin' },
+          scheduleId: scheduleDoc.id,
+          runId: runRef.id
+        })
+        await runRef.update({ notificationId: notificationRef.id })
+        run = openRun(runRef, notificationRef.id, { timezone, localTime: slot })
+      } catch (err) {
+        if (!(err && err.code === 6)) throw err // 6 = ALREADY_EXISTS
+      }
+    }
+    runsByTimezone.set(timezone, run)
+    return run
+  }
+
+  let cursor = pass.cursor
+  let paused = false
+  for await (const page of stale ? [] : iterateTargetUsers(schedule, { startAfter: cursor })) {
+    // The Nth hug of the day only goes to tiers that include N hugs
+    const users = schedule.hugNumber ? page.filter(user => isEntitledToHug(user, schedule.hugNumber)) : page
+    const timezoneByUid = new Map()
+    for (const user of users) {
+      const timezone = resolveTimezone(user.timezone)
+      timezones.add(timezone)
+      if (!slotsByTimezone.has(timezone)) {
+        slotsByTimezone.set(timezone, findDueSlot(schedule, timezone, windowStart, windowEnd))
+      }
+      if (slotsByTimezone.get(timezone)) timezoneByUid.set(user.uid, timezone)
+    }
+    cursor = page.cursor
+    if (timezoneByUid.size > 0) {
+      await deliverSchedulePage(schedule, {
+        users: users.filter(user => timezoneByUid.has(user.uid)),
+        timezoneByUid,
+        hugs,
+        now,
+        claimRun,
+        scheduleId: scheduleDoc.id
+      })
+    }
+    if (Date.now() >= deadline) {
+      paused = true
+      break
+    }
+  }
+
+  const runs = []
+  if (paused) {
+    // Keep what the runs have counted so far and hand the pass to the next cron run
+    for (const run of runsByTimezone.values()) {
+      if (run) await run.ref.update({ stats: run.stats, ...(run.error ? { error: run.error } : {}) })
+    }
+    await scheduleDoc.ref.update({
+      'pass.cursor': cursor,
+      'pass.timezones': [...timezones],
+      'pass.leaseUntil': admin.firestore.Timestamp.now()
+    })
+    return { scheduleId: scheduleDoc.id, runs, pending: true }
+  }
+
+  // Wind up every run of the pass, including those no page of this invocation touched
+  for (const runId of runIds) {
+    let run = [...runsByTimezone.values()].find(open => open?.ref.id === runId)
+    if (!run) {
+      const runRef = scheduleDoc.ref.collection('runs').doc(runId)
+      const runData = (await runRef.get()).data()
+      run = openRun(runRef, runData.notificationId, runData)
+    }
+    const completedAt = admin.firestore.Timestamp.now()
+    if (run.notificationRef) await completeNotificationRecord(run.notificationRef, run.stats, run.error)
+    if (run.error) {
+      await run.ref.update({ status: 'failed', error: run.error, stats: run.stats, completedAt })
+      runs.push({ timezone: run.timezone, localTime: run.localTime, error: run.error })
+    } else {
+      await run.ref.update({ status: 'completed', stats: run.stats, completedAt })
+      runs.push({ timezone: run.timezone, localTime: run.localTime, stats: run.stats })
+    }
+  }
+
+  const update = {
+    pass: admin.firestore.FieldValue.delete(),
+    coveredThrough: pass.to,
+    updatedAt: admin.firestore.Timestamp.now()
+  }
+  if (!stale) update.timezones = [...timezones]
+  if (runs.length > 0) {
+    update.lastRunAt = admin.firestore.Timestamp.now()
+    update.runCount = admin.firestore.FieldValue.increment(runs.length)
+  }
+  if (schedule.recurrence === 'once' && isOnceScheduleFinished(schedule, now)) {
+    update.status = 'completed'
+  }
+  await scheduleDoc.ref.update(update)
+
+  return { scheduleId: scheduleDoc.id, runs }
+}
+
+// Send one page of a schedule pass to the users whose slot is due, each under
+// the run of their timezone. A failure marks that run failed and the rest go on.
+const deliverSchedulePage = async (schedule, { users, timezoneByUid, hugs, now, claimRun, scheduleId }) => {
+  const preferences = applyPreferences(users, schedule.category || 'daily_hug', now)
+  const { skipped } = preferences
+  let { allowed } = preferences
+  let picks = null
+  if (hugs) {
+    picks = pickHugs(hugs, allowed, now)
+    for (const user of allowed) {
+      if (!picks.has(user.uid)) skipped.push({ uid: user.uid, reason: 'noHug' })
+    }
+    allowed = allowed.filter(user => picks.has(user.uid))
+  }
+  const skippedByTimezone = new Map()
+  for (const entry of skipped) {
+    const timezone = timezoneByUid.get(entry.uid)
+    if (!skippedByTimezone.has(timezone)) skippedByTimezone.set(timezone, [])
+    skippedByTimezone.get(timezone).push(entry)
+  }
+  const targetsByTimezone = new Map()
+  for (const target of await collectDeviceTargets(allowed)) {
+    const timezone = timezoneByUid.get(target.uid)
+    if (!targetsByTimezone.has(timezone)) targetsByTimezone.set(timezone, [])
+    targetsByTimezone.get(timezone).push(target)
+  }
+
+  for (const timezone of new Set([...targetsByTimezone.keys(), ...skippedByTimezone.keys()])) {
+    const run = await claimRun(timezone)
+    if (!run || run.error) continue
+    try {
+      const skippedHere = skippedByTimezone.get(timezone) || []
+      if (skippedHere.length > 0) {
+        addSendStats(run.stats, countSkipped(skippedHere))
+        await recordSkippedRecipients(run.notificationRef, skippedHere)
+      }
+      const targets = targetsByTimezone.get(timezone) || []
+      if (targets.length > 0) {
+        const message = picks ? hugMessage(picks, run.data) : run.message
+        addSendStats(run.stats, await sendToUserDevices(allowed, targets, message, run.notificationRef))
+        if (picks) {
+          const sentUids = new Set(targets.map(target => target.uid))
+          await recordServedHugs(picks, allowed.filter(user => sentUids.has(user.uid)), {
+            notificationRef: run.notificationRef,
+            hugNumber: schedule.hugNumber || 1
+          })
+        }
+      }
+    } catch (err) {
+      console.error(`Error delivering schedule ${scheduleId} for ${timezone}:`, err)
+      run.error = err?.message || 'Unknown error'
+    }
+  }
+}
+
+const serializeSchedule = (doc) => {
+  const { pass, ...data } = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    delivering: !!pass,
+    activeSince: data.activeSince?.toDate?.() || null,
+    coveredThrough: data.coveredThrough?.toDate?.() || null,
+    lastRunAt: data.lastRunAt?.toDate?.() || null,
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  }
+}
+
+// Authentication middleware for cron triggers (Vercel sends `Authorization: Bearer <CRON_SECRET>`)
+const authenticateCron = (req, res, next) => {
+  const expectedSecret = process.env.CRON_SECRET
+  if (!expectedSecret) {
+    console.error('CRON_SECRET not configured')
+    return res.status(500).json({ success: false, error: 'Server configuration error' })
+  }
+
+  // Compare digests so the comparison is constant-time whatever the input length
+  const provided = crypto.createHash('sha256').update(String(req.headers.authorization || '')).digest()
+  const expected = crypto.createHash('sha256').update(`Bearer ${expectedSecret}`).digest()
+  if (!crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ success: false, error: 'Invalid cron secret' })
+  }
+
+  next()
+}
+
+// Run due notification schedules (cron)
+const runDueSchedulesHandler = async (req, res) => {
+  try {
+    const now = new Date()
+    const deadline = now.getTime() + SCHEDULE_RUN_BUDGET_MS
+    const snapshot = await db.collection('notificationSchedules').where('status', '==', 'active').get()
+    // Read the hug library at most once per run, however many schedules use it
+    let hugLibrary = null
+    const loadHugs = () => (hugLibrary ??= loadHugLibrary(now))
+
+    const results = []
+    for (const doc of snapshot.docs) {
+      // Out of time: the rest are still inside the window on the next run
+      if (Date.now() >= deadline) {
+        results.push({ scheduleId: doc.id, pending: true })
+        continue
+      }
+      try {
+        results.push(await runSchedule(doc, now, deadline, loadHugs))
+      } catch (err) {
+        console.error(`Error running schedule ${doc.id}:`, err)
+        results.push({ scheduleId: doc.id, error: err?.message || 'Unknown error' })
+      }
+    }
+
+    res.json({
+      success: true,
+      ranAt: now.toISOString(),
+      checked: snapshot.size,
+      delivered: results.filter(result => result.runs?.length > 0),
+      pending: results.filter(result => result.pending).map(result => result.scheduleId),
+      errors: results.filter(result => result.error)
+    })
+  } catch (error) {
+    console.error('Error running schedules:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+app.get('/api/cron/run-schedules', authenticateCron, runDueSchedulesHandler)
+app.post('/api/cron/run-schedules', authenticateCron, runDueSchedulesHandler)
+
+// Create notification schedule
+app.post('/api/schedules', authorize('content:manage'), audit('schedule.create'), async (req, res) => {
+  try {
+    let schedule
+    try {
+      schedule = normalizeScheduleInput(req.body || {})
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+    if (schedule.segmentId && !(await segmentExists(schedule.segmentId))) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+    if (schedule.templateId) {
+      const template = await loadTemplate(schedule.templateId)
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' })
+      }
+      schedule.name = schedule.name || template.name
+    }
+
+    const now = admin.firestore.Timestamp.now()
+    const docRef = await db.collection('notificationSchedules').add({
+      ...schedule,
+      status: 'active',
+      activeSince: now,
+      runCount: 0,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: now
+    })
+
+    res.status(201).json({ success: true, id: docRef.id, schedule: serializeSchedule(await docRef.get()) })
+  } catch (error) {
+    console.error('Error creating schedule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List notification schedules, optionally filtered by ?status=
+app.get('/api/schedules', authorize('content:manage'), async (req, res) => {
+  try {
+    let query = db.collection('notificationSchedules')
+    if (req.query.status) {
+      query = query.where('status', '==', req.query.status)
+    }
+
+    const snapshot = await query.get()
+    const schedules = snapshot.docs.map(serializeSchedule)
+
+    res.json({ success: true, schedules, total: schedules.length })
+  } catch (error) {
+    console.error('Error listing schedules:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one notification schedule
+app.get('/api/schedules/:id', authorize('content:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('notificationSchedules').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' })
+    }
+
+    res.json({ success: true, schedule: serializeSchedule(doc) })
+  } catch (error) {
+    console.error('Error getting schedule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Pause a notification schedule
+app.post('/api/schedules/:id/pause', authorize('content:manage'), audit('schedule.pause'), async (req, res) => {
+  try {
+    const docRef = db.collection('notificationSchedules').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' })
+    }
+    auditDetails(req, { before: serializeSchedule(doc) })
+    if (doc.data().status !== 'active') {
+      return res.status(400).json({ success: false, error: `Cannot pause a ${doc.data().status} schedule` })
+    }
+
+    await docRef.update({ status: 'paused', updatedAt: admin.firestore.Timestamp.now() })
+
+    res.json({ success: true, id: doc.id, status: 'paused' })
+  } catch (error) {
+    console.error('Error pausing schedule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Resume a paused notification schedule. Slots missed while paused are skipped.
+app.post('/api/schedules/:id/resume', authorize('content:manage'), audit('schedule.resume'), async (req, res) => {
+  try {
+    const docRef = db.collection('notificationSchedules').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' })
+    }
+    auditDetails(req, { before: serializeSchedule(doc) })
+    if (doc.data().status !== 'paused') {
+      return res.status(400).json({ success: false, error: `Cannot resume a ${doc.data().status} schedule` })
+    }
+
+    const now = admin.firestore.Timestamp.now()
+    await docRef.update({ status: 'active', activeSince: now, updatedAt: now })
+
+    res.json({ success: true, id: doc.id, status: 'active' })
+  } catch (error) {
+    console.error('Error resuming schedule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Delete a notification schedule and its run history
+app.delete('/api/schedules/:id', authorize('content:manage'), audit('schedule.delete'), async (req, res) => {
+  try {
+    const docRef = db.collection('notificationSchedules').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' })
+    }
+    auditDetails(req, { before: serializeSchedule(doc) })
+
+    await db.recursiveDelete(docRef)
+
+    res.json({ success: true, id: doc.id, deleted: true })
+  } catch (error) {
+    console.error('Error deleting schedule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List delivery runs of a notification schedule, newest first
+app.get('/api/schedules/:id/runs', authorize('content:manage'), async (req, res) => {
+  try {
+    const docRef = db.collection('notificationSchedules').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' })
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    const snapshot = await docRef.collection('runs').orderBy('startedAt', 'desc').limit(limit).get()
+    const runs = snapshot.docs.map(runDoc => ({
+      id: runDoc.id,
+      ...runDoc.data(),
+      startedAt: runDoc.data().startedAt?.toDate?.() || null,
+      completedAt: runDoc.data().completedAt?.toDate?.() || null
+    }))
+
+    res.json({ success: true, runs, total: runs.length })
+  } catch (error) {
+    console.error('Error listing schedule runs:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Hug content library
+//
+// Hug messages live in `hugs/{id}`. Sending today's hug picks one message per
+// member from the hugs available to them (active dates, tier, locale). Each
+// member works through the pool without repeats: the ids served in the current
+// round are kept on `users/{uid}.hugRotation`, and a new round starts once
+// none are left. Every served hug is also stored in `users/{uid}/hugHistory`.
+// ---------------------------------------------------------------------------
+
+const HUG_TITLE = 'Your daily hug'
+const HUG_MAX_TAGS = 20
+// Most hug ids kept in a member's current round; the oldest are dropped beyond it
+const HUG_ROTATION_MAX_SERVED = 1000
+// Locale of members who have not chosen one
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en'
+
+const parseOptionalDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null
+  const date = parseDateQuery(value)
+  if (!date) throw new Error(`${field} must be an ISO date`)
+  return date
+}
+
+// Validate an admin-supplied hug and normalise it to the stored shape
+const normalizeHugInput = ({ text, title, imageUrl, tags = [], tiers = [], locale, activeFrom, activeUntil } = {}) => {
+  if (!text || typeof text !== 'string' || !text.trim() || text.length > 1000) {
+    throw new Error('text is required (at most 1000 characters)')
+  }
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 100)) {
+    throw new Error('title must be a string of at most 100 characters')
+  }
+  if (imageUrl !== undefined && imageUrl !== null && imageUrl !== '' && !/^https:\/\/\S+$/.test(String(imageUrl))) {
+    throw new Error('imageUrl must be an https URL')
+  }
+  if (!Array.isArray(tags) || tags.length > HUG_MAX_TAGS || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+    throw new Error(`tags must be an array of at most ${HUG_MAX_TAGS} non-empty strings`)
+  }
+  if (!Array.isArray(tiers) || tiers.some(tier => !TIERS[tier])) {
+    throw new Error(`tiers must be an array of: ${TIER_NAMES.join(', ')}`)
+  }
+  // Hugs are rendered from the whole profile, so only the template variables may be used
+  for (const value of [text, title]) assertWellFormedPlaceholders(value)
+  const unknown = [text, title].flatMap(extractTemplateVariables).filter(variable => !TEMPLATE_VARIABLES.includes(variable))
+  if (unknown.length > 0) throw unknownVariablesError(unknown)
+
+  const from = parseOptionalDate(activeFrom, 'activeFrom')
+  const until = parseOptionalDate(activeUntil, 'activeUntil')
+  if (from && until && until <= from) throw new Error('activeUntil must be after activeFrom')
+
+  return {
+    text: text.trim(),
+    title: title?.trim() || null,
+    imageUrl: imageUrl || null,
+    tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+    tiers: [...new Set(tiers)],
+    locale: locale === undefined || locale === null || locale === '' ? null : normalizeLocaleInput(locale),
+    activeFrom: from ? admin.firestore.Timestamp.fromDate(from) : null,
+    activeUntil: until ? admin.firestore.Timestamp.fromDate(until) : null
+  }
+}
+
+const serializeHug = (doc) => {
+  const data = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    activeFrom: data.activeFrom?.toDate?.() || null,
+    activeUntil: data.activeUntil?.toDate?.() || null,
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  }
+}
+
+// Hugs that can be sent at `now`. Only hugs without an end date or ending later
+// are read; hugs that have not started yet are dropped here, and tier and
+// locale are matched per member by isHugAvailable.
+const loadHugLibrary = async (now = new Date()) => {
+  const hugs = db.collection('hugs')
+  const [openEnded, ending] = await Promise.all([
+    hugs.where('activeUntil', '==', null).get(),
+    hugs.where('activeUntil', '>', admin.firestore.Timestamp.fromDate(now)).get()
+  ])
+  return [...openEnded.docs, ...ending.docs]
+    .filter(doc => !doc.data().activeFrom || doc.data().activeFrom.toMillis() <= now.getTime())
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+}
+
+// A hug with no locale suits everybody; `en` also suits members using `en-US`
+const hugMatchesLocale = (hugLocale, userLocale) => !hugLocale ||
+  userLocale === hugLocale ||
+  userLocale.startsWith(`${hugLocale}-`)
+
+const isHugAvailable = (hug, user, now) => {
+  if (hug.activeFrom && hug.activeFrom.toMillis() > now.getTime()) return false
+  if (hug.activeUntil && hug.activeUntil.toMillis() <= now.getTime()) return false
+  if (hug.tiers?.length > 0 && !hug.tiers.includes(userTier(user))) return false
+  return hugMatchesLocale(hug.locale, user.locale || DEFAULT_LOCALE)
+}
+
+// Pick each user's next hug: a random one not served in their current round,
+// starting a new round when every available hug has been served. The stored
+// round only keeps ids still available to the user (deleted, expired or
+// retiered hugs drop out) and at most HUG_ROTATION_MAX_SERVED of them. Users
+// with no available hug are left out of the returned Map (uid -> { hug, rotation }).
+const pickHugs = (hugs, users, now = new Date()) => {
+  const picks = new Map()
+  for (const user of users) {
+    const available = hugs.filter(hug => isHugAvailable(hug, user, now))
+    if (available.length === 0) continue
+
+    const availableIds = new Set(available.map(hug => hug.id))
+    const served = new Set((user.hugRotation?.served || []).filter(id => availableIds.has(id)))
+    let round = user.hugRotation?.round || 1
+    let candidates = available.filter(hug => !served.has(hug.id))
+    if (candidates.length === 0) {
+      // Don't open the new round with the hug that closed the last one
+      const last = user.hugRotation?.served?.at(-1)
+      served.clear()
+      round++
+      candidates = available.length > 1 ? available.filter(hug => hug.id !== last) : available
+    }
+    const hug = candidates[crypto.randomInt(candidates.length)]
+    picks.set(user.uid, { hug, rotation: { round, served: [...served, hug.id].slice(-HUG_ROTATION_MAX_SERVED) } })
+  }
+  return picks
+}
+
+// Per-user FCM message for the picked hugs
+const hugMessage = (picks, data) => (user) => {
+  const { hug } = picks.get(user.uid)
+  return buildNotificationMessage({
+    title: renderTemplateText(hug.title, user) || HUG_TITLE,
+    body: renderTemplateText(hug.text, user),
+    imageUrl: hug.imageUrl || undefined,
+    data: { ...data, hugId: hug.id }
+  })
+}
+
+// Advance the rotation and store the served hug for every user that was sent one
+const recordServedHugs = async (picks, users, { notificationRef, hugNumber }) => {
+  const servedAt = admin.firestore.Timestamp.now()
+  for (const entries of chunk(users.filter(user => picks.has(user.uid)), 250)) {
+    const batch = db.batch()
+    for (const user of entries) {
+      const { hug, rotation } = picks.get(user.uid)
+      const userRef = db.collection('users').doc(user.uid)
+      batch.set(userRef, { hugRotation: rotation }, { merge: true })
+      batch.set(userRef.collection('hugHistory').doc(), {
+        hugId: hug.id,
+        title: renderTemplateText(hug.title, user) || HUG_TITLE,
+        text: renderTemplateText(hug.text, user),
+        imageUrl: hug.imageUrl || null,
+        hugNumber,
+        notificationId: notificationRef ? notificationRef.id : null,
+        servedAt
+      })
+    }
+    await batch.commit()
+  }
+}
+
+const validateHugNumber = (hugNumber) => {
+  const maxHugsPerDay = Math.max(...TIER_NAMES.map(name => TIERS[name].hugsPerDay))
+  if (!Number.isInteger(hugNumber) || hugNumber < 1 || hugNumber > maxHugsPerDay) {
+    throw new Error(`hugNumber must be an integer from 1 to ${maxHugsPerDay}`)
+  }
+  return hugNumber
+}
+
+// Whether a user's tier includes the Nth hug of the day
+const isEntitledToHug = (user, hugNumber) => tierEntitlements(userTier(user)).hugsPerDay >= hugNumber
+
+// Send every targeted member their own hug from the library now, page by page
+const sendLibraryHugs = async (criteria, hugs, { hugNumber, notificationRef, data }) => {
+  const stats = emptySendStats()
+  const now = new Date()
+  for await (const page of iterateTargetUsers(criteria)) {
+    const { allowed, skipped } = applyPreferences(page.filter(user => isEntitledToHug(user, hugNumber)), 'daily_hug', now)
+    const picks = pickHugs(hugs, allowed, now)
+    const users = allowed.filter(user => picks.has(user.uid))
+    for (const user of allowed) {
+      if (!picks.has(user.uid)) skipped.push({ uid: user.uid, reason: 'noHug' })
+    }
+    if (skipped.length > 0) {
+      addSendStats(stats, countSkipped(skipped))
+      await recordSkippedRecipients(notificationRef, skipped)
+    }
+
+    const targets = await collectDeviceTargets(users)
+    if (targets.length === 0) continue
+    addSendStats(stats, await sendToUserDevices(users, targets, hugMessage(picks, data), notificationRef))
+    const sentUids = new Set(targets.map(target => target.uid))
+    await recordServedHugs(picks, users.filter(user => sentUids.has(user.uid)), { notificationRef, hugNumber })
+  }
+  return stats
+}
+
+// Add a hug to the library
+app.post('/api/hugs', authorize('content:manage'), audit('hug.create'), async (req, res) => {
+  try {
+    let hug
+    try {
+      hug = normalizeHugInput(req.body || {})
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    const now = admin.firestore.Timestamp.now()
+    const docRef = await db.collection('hugs').add({
+      ...hug,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid,
+      createdAt: now,
+      updatedAt: now
+    })
+    const created = serializeHug(await docRef.get())
+    auditDetails(req, { resourceId: docRef.id, after: created })
+
+    res.status(201).json({ success: true, hug: created })
+  } catch (error) {
+    console.error('Error creating hug:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List the library, newest first. Filters: tag, tier, locale, active=true (available right now)
+app.get('/api/hugs', authorize('content:manage'), async (req, res) => {
+  try {
+    const { tag, tier, locale, active } = req.query
+    let query = db.collection('hugs')
+    if (tag) query = query.where('tags', 'array-contains', String(tag).toLowerCase())
+    const snapshot = await query.orderBy('createdAt', 'desc').get()
+
+    const now = admin.firestore.Timestamp.now()
+    const hugs = snapshot.docs
+      .filter(doc => !tier || !doc.data().tiers?.length || doc.data().tiers.includes(tier))
+      .filter(doc => !locale || doc.data().locale === locale)
+      .filter(doc => active !== 'true' || (
+        (!doc.data().activeFrom || doc.data().activeFrom.toMillis() <= now.toMillis()) &&
+        (!doc.data().activeUntil || doc.data().activeUntil.toMillis() > now.toMillis())
+      ))
+      .map(serializeHug)
+
+    res.json({ success: true, hugs, total: hugs.length })
+  } catch (error) {
+    console.error('Error listing hugs:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one hug
+app.get('/api/hugs/:id', authorize('content:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('hugs').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Hug not found' })
+    }
+
+    res.json({ success: true, hug: serializeHug(doc) })
+  } catch (error) {
+    console.error('Error getting hug:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update a hug. Fields not provided are kept.
+app.put('/api/hugs/:id', authorize('content:manage'), audit('hug.update'), async (req, res) => {
+  try {
+    const docRef = db.collection('hugs').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Hug not found' })
+    }
+    const before = serializeHug(doc)
+    auditDetails(req, { before })
+
+    let hug
+    try {
+      hug = normalizeHugInput({ ...before, ...req.body })
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    await docRef.update({ ...hug, updatedAt: admin.firestore.Timestamp.now() })
+
+    res.json({ success: true, hug: serializeHug(await docRef.get()) })
+  } catch (error) {
+    console.error('Error updating hug:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Delete a hug. Members' hug history keeps its own copy of the text.
+app.delete('/api/hugs/:id', authorize('content:manage'), audit('hug.delete'), async (req, res) => {
+  try {
+    const docRef = db.collection('hugs').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Hug not found' })
+    }
+    auditDetails(req, { before: serializeHug(doc) })
+
+    await docRef.delete()
+
+    res.json({ success: true, id: doc.id, deleted: true })
+  } catch (error) {
+    console.error('Error deleting hug:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Send today's hug now: every targeted member gets their own pick from the
+// library. `hugNumber` (default 1) only reaches tiers that include that many hugs a day.
+app.post('/api/hugs/send', authorize('notifications:send'), audit('hug.send'), async (req, res) => {
+  try {
+    let criteria
+    let hugNumber
+    try {
+      criteria = normalizeAudienceInput(req.body || {})
+      hugNumber = validateHugNumber(req.body?.hugNumber ?? 1)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+    if (criteria.segmentId && !(await segmentExists(criteria.segmentId))) {
+      return res.status(404).json({ success: false, error: 'Segment not found' })
+    }
+
+    const hugs = await loadHugLibrary()
+    if (hugs.length === 0) {
+      return res.status(409).json({ success: false, error: 'The hug library has no active hugs' })
+    }
+
+    const notificationRef = await createNotificationRecord({
+      title: HUG_TITLE,
+      body: null,
+      target: { ...criteria, hugNumber },
+      category: 'daily_hug',
+      source: 'hug_library',
+      hugNumber,
+      sentBy: { uid: req.user.uid, name: req.adminDisplayName }
+    })
+
+    let stats
+    try {
+      stats = await sendLibraryHugs(criteria, hugs, {
+        hugNumber,
+        notificationRef,
+        data: { notificationId: notificationRef.id, category: 'daily_hug' }
+      })
+    } catch (error) {
+      await completeNotificationRecord(notificationRef, emptySendStats(), error)
+      throw error
+    }
+    await completeNotificationRecord(notificationRef, stats)
+    auditDetails(req, { resourceId: notificationRef.id, metadata: { hugNumber, stats } })
+
+    if (stats.total === 0) {
+      return res.json({ success: false, error: 'No members could be sent a hug', notificationId: notificationRef.id, stats })
+    }
+    res.json({ success: true, notificationId: notificationRef.id, stats })
+  } catch (error) {
+    console.error('Error sending hugs:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// A page of a member's served hugs, newest first; the cursor is a history entry id
+const hugHistoryPage = async (uid, { limit, cursor }) => {
+  const historyRef = db.collection('users').doc(uid).collection('hugHistory')
+  let query = historyRef.orderBy('servedAt', 'desc').limit(limit)
+  if (cursor) {
+    const cursorDoc = await historyRef.doc(cursor).get()
+    if (!cursorDoc.exists) return null
+    query = query.startAfter(cursorDoc)
+  }
+
+  const snapshot = await query.get()
+  return {
+    hugs: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), servedAt: doc.data().servedAt?.toDate?.() || null })),
+    nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+  }
+}
+
+// The hugs the caller has been sent, newest first
+app.get('/api/me/hugs', authenticateUser, async (req, res) => {
+  try {
+    const page = await hugHistoryPage(req.user.uid, { limit: parseLimitQuery(req.query.limit), cursor: req.query.cursor })
+    if (!page) {
+      return res.status(400).json({ success: false, error: 'Invalid cursor' })
+    }
+
+    res.json({ success: true, ...page })
+  } catch (error) {
+    console.error('Error getting own hug history:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// The hugs a member has been sent, newest first
+app.get('/api/users/:uid/hugs', authorize('users:read'), async (req, res) => {
+  try {
+    const page = await hugHistoryPage(req.params.uid, { limit: parseLimitQuery(req.query.limit), cursor: req.query.cursor })
+    if (!page) {
+      return res.status(400).json({ success: false, error: 'Invalid cursor' })
+    }
+
+    res.json({ success: true, uid: req.params.uid, ...page })
+  } catch (error) {
+    console.error('Error getting hug history:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Member-to-member hugs
+//
+// A signed-in member sends another member a preset hug or a short note, by
+// email or uid. Delivered hugs are stored in `friendHugs/{id}` and pushed to
+// the recipient under the `friend_hug` category. The response is the same
+// whether or not the recipient exists, is Active or has blocked the sender, so
+// it cannot be used to find out who is a member; every attempt counts toward
+// the sender's daily limit (`friendHugsPerDay` of their tier) for the same
+// reason. Members keep `blockedUids` (hugs dropped) and `mutedUids` (hugs kept
+// in the inbox without a push) on their profile.
+//
+// A send is written to `friendHugOutbox/{id}` together with the quota before
+// the sender gets their answer, then delivered right after it. Whatever is
+// still in the outbox a minute later (the function was frozen or delivery
+// failed) is picked up by /api/cron/deliver-friend-hugs.
+// ---------------------------------------------------------------------------
+
+const FRIEND_HUG_PRESETS = {
+  warm: 'Sending you a big warm hug 🤗',
+  thinking: 'Thinking of you today 💛',
+  strength: 'A hug for strength. You\'ve got this 💪',
+  thanks: 'A thank-you hug, just because 🙏',
+  cheer: 'A hug to cheer you up ☀️'
+}
+const FRIEND_HUG_NOTE_MAX = 280
+// How long an outbox entry belongs to the request that wrote it (and later to
+// the cron run that claimed it) before the cron job may take it over
+const FRIEND_HUG_OUTBOX_LEASE_MS = 60 * 1000
+const FRIEND_HUG_OUTBOX_MAX_ATTEMPTS = 5
+const FRIEND_HUG_CRON_BATCH_SIZE = 100
+const MEMBER_LIST_MAX = 1000
+
+// Validate the recipient and content of a friend hug
+const normalizeFriendHugInput = ({ email, uid, presetId, note } = {}) => {
+  if (!email === !uid) throw new Error('Either email or uid is required')
+  if (email && (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim()))) {
+    throw new Error('email must be a valid email address')
+  }
+  if (uid && (typeof uid !== 'string' || uid.length > 128)) throw new Error('uid must be a string')
+  if (!presetId === !note) throw new Error('Either presetId or note is required')
+  if (presetId && !Object.prototype.hasOwnProperty.call(FRIEND_HUG_PRESETS, presetId)) {
+    throw new Error(`presetId must be one of: ${Object.keys(FRIEND_HUG_PRESETS).join(', ')}`)
+  }
+  if (note && (typeof note !== 'string' || !note.trim() || note.length > FRIEND_HUG_NOTE_MAX || /[\u0000-\u0009\u000b-\u001f\u007f]/.test(note))) {
+    throw new Error(`note must be plain text of at most ${FRIEND_HUG_NOTE_MAX} characters`)
+  }
+
+  return {
+    email: email ? email.trim().toLowerCase() : null,
+    uid: uid || null,
+    presetId: presetId || null,
+    note: note ? note.trim() : null
+  }
+}
+
+// Name shown to the recipient
+const friendHugSenderName = (user = {}) => user.firstName || user.displayName || 'A friend'
+
+// Count one attempt against the sender's daily limit (their local day) and,
+// when it is allowed, queue the hug in the outbox in the same transaction.
+// Returns { allowed, limit, remaining, outboxRef }.
+const queueFriendHug = (uid, input) => db.runTransaction(async (tx) => {
+  const userRef = db.collection('users').doc(uid)
+  const user = (await tx.get(userRef)).data() || {}
+  const limit = tierEntitlements(userTier(user)).friendHugsPerDay
+  const day = getLocalParts(new Date(), resolveTimezone(user.timezone)).date
+  const sent = user.friendHugQuota?.day === day ? user.friendHugQuota.sent : 0
+  if (sent >= limit) return { allowed: false, limit, remaining: 0 }
+
+  const outboxRef = db.collection('friendHugOutbox').doc()
+  tx.set(userRef, { friendHugQuota: { day, sent: sent + 1 } }, { merge: true })
+  tx.set(outboxRef, {
+    senderUid: uid,
+    ...input,
+    attempts: 0,
+    createdAt: admin.firestore.Timestamp.now(),
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + FRIEND_HUG_OUTBOX_LEASE_MS)
+  })
+  return { allowed: true, limit, remaining: limit - sent - 1, outboxRef }
+})
+
+// The recipient profile, or null for anybody who must not be reachable
+const findFriendHugRecipient = async ({ email, uid }) => {
+  let recipientUid = uid
+  if (email) {
+    const authUser = await findAuthUserByEmail(email)
+    if (!authUser || authUser.disabled) return null
+    recipientUid = authUser.uid
+  }
+  const doc = await db.collection('users').doc(recipientUid).get()
+  if (!doc.exists || (doc.data().accountStatus || 'Active') !== 'Active') return null
+  return { uid: doc.id, ...doc.data() }
+}
+
+// Push a delivered friend hug to the recipient's devices unless their
+// preferences say otherwise. Failures are logged; the hug stays in the inbox.
+const pushFriendHug = async (recipient, hugRef, { senderName, message }) => {
+  if (preferenceSkipReason(recipient, 'friend_hug', new Date())) return null
+  const targets = await collectDeviceTargets([recipient])
+  if (targets.length === 0) return null
+
+  try {
+    return await sendToUserDevices([recipient], targets, buildNotificationMessage({
+      title: `${senderName} sent you a hug`,
+      body: message,
+      data: { category: 'friend_hug', friendHugId: hugRef.id }
+    }))
+  } catch (error) {
+    console.error('Error pushing friend hug:', error)
+    return null
+  }
+}
+
+// Deliver one outbox entry: store the hug in the recipient's inbox (under the
+// outbox id, so a second delivery of the same entry is a no-op) and push it,
+// unless the recipient is not reachable or has blocked the sender. The entry
+// is removed afterwards.
+const deliverFriendHug = async (outboxDoc) => {
+  const { senderUid, email, uid, presetId, note } = outboxDoc.data()
+  const recipient = await findFriendHugRecipient({ email, uid })
+  if (recipient && recipient.uid !== senderUid && !(recipient.blockedUids || []).includes(senderUid)) {
+    const sender = (await db.collection('users').doc(senderUid).get()).data() || {}
+    const senderName = friendHugSenderName(sender)
+    const message = note || FRIEND_HUG_PRESETS[presetId]
+    const muted = (recipient.mutedUids || []).includes(senderUid)
+
+    const hugRef = db.collection('friendHugs').doc(outboxDoc.id)
+    let created = true
+    try {
+      await hugRef.create({
+        senderUid,
+        senderName,
+        recipientUid: recipient.uid,
+        presetId,
+        note,
+        message,
+        muted,
+        readAt: null,
+        createdAt: admin.firestore.Timestamp.now()
+      })
+    } catch (err) {
+      if (!(err && err.code === 6)) throw err // 6 = ALREADY_EXISTS
+      created = false
+    }
+    if (created && !muted) await pushFriendHug(recipient, hugRef, { senderName, message })
+  }
+  await outboxDoc.ref.delete()
+}
+
+// Deliver, or count a failed attempt and leave the entry for the cron job.
+// Entries that keep failing are dropped after FRIEND_HUG_OUTBOX_MAX_ATTEMPTS.
+// Returns 'delivered', 'retrying' or 'dropped'.
+const attemptFriendHugDelivery = async (outboxDoc) => {
+  try {
+    await deliverFriendHug(outboxDoc)
+    return 'delivered'
+  } catch (error) {
+    const attempts = (outboxDoc.data().attempts || 0) + 1
+    console.error(`Error delivering friend hug ${outboxDoc.id} (attempt ${attempts}):`, error)
+    if (attempts >= FRIEND_HUG_OUTBOX_MAX_ATTEMPTS) {
+      await outboxDoc.ref.delete()
+      return 'dropped'
+    }
+    await outboxDoc.ref.update({ attempts, lastError: error?.message || String(error) })
+    return 'retrying'
+  }
+}
+
+const serializeFriendHug = (doc) => {
+  const data = doc.data()
+  return {
+    id: doc.id,
+    from: { uid: data.senderUid, name: data.senderName },
+    presetId: data.presetId,
+    message: data.message,
+    createdAt: data.createdAt?.toDate?.() || null,
+    readAt: data.readAt?.toDate?.() || null
+  }
+}
+
+// Presets the caller can send and how many hugs they have left today
+app.get('/api/me/friend-hugs/presets', authenticateUser, async (req, res) => {
+  try {
+    const user = (await db.collection('users').doc(req.user.uid).get()).data() || {}
+    const limit = tierEntitlements(userTier(user)).friendHugsPerDay
+    const day = getLocalParts(new Date(), resolveTimezone(user.timezone)).date
+    const sent = user.friendHugQuota?.day === day ? user.friendHugQuota.sent : 0
+
+    res.json({
+      success: true,
+      presets: Object.entries(FRIEND_HUG_PRESETS).map(([id, message]) => ({ id, message })),
+      noteMaxLength: FRIEND_HUG_NOTE_MAX,
+      dailyLimit: limit,
+      remainingToday: Math.max(limit - sent, 0)
+    })
+  } catch (error) {
+    console.error('Error getting friend hug presets:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Send a hug to another member. Body: email or uid, and presetId or note.
+app.post('/api/me/friend-hugs', authenticateUser, async (req, res) => {
+  let input, quota
+  try {
+    try {
+      input = normalizeFriendHugInput(req.body || {})
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+    if (input.uid === req.user.uid || (input.email && input.email === req.user.email?.toLowerCase())) {
+      return res.status(400).json({ success: false, error: 'You cannot send a hug to yourself' })
+    }
+
+    quota = await queueFriendHug(req.user.uid, input)
+    if (!quota.allowed) {
+      return res.status(429).json({ success: false, error: `You can send ${quota.limit} hugs a day`, dailyLimit: quota.limit, remainingToday: 0 })
+    }
+
+    // The hug is safely queued. Answer before looking up the recipient: the
+    // same body at the same moment whether or not the hug reaches anybody.
+    res.json({ success: true, dailyLimit: quota.limit, remainingToday: quota.remaining })
+  } catch (error) {
+    console.error('Error sending friend hug:', error)
+    return res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+
+  // Anything that fails here stays in the outbox for the cron job
+  await attemptFriendHugDelivery(await quota.outboxRef.get())
+})
+
+// Cron: deliver outbox entries whose request did not finish delivering them.
+// Each entry is claimed by pushing its nextAttemptAt out, so overlapping runs
+// and a still-running request skip it.
+const deliverQueuedFriendHugsHandler = async (req, res) => {
+  try {
+    const snapshot = await db.collection('friendHugOutbox')
+      .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+      .orderBy('nextAttemptAt')
+      .limit(FRIEND_HUG_CRON_BATCH_SIZE)
+      .get()
+
+    const results = { due: snapshot.size, delivered: 0, retrying: 0, dropped: 0, claimedElsewhere: 0 }
+    await mapWithConcurrency(snapshot.docs, 5, async (doc) => {
+      const claimed = await db.runTransaction(async (tx) => {
+        const current = await tx.get(doc.ref)
+        if (!current.exists || current.data().nextAttemptAt?.toMillis() > Date.now()) return null
+        tx.update(doc.ref, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + FRIEND_HUG_OUTBOX_LEASE_MS) })
+        return current
+      })
+      if (!claimed) {
+        results.claimedElsewhere++
+        return
+      }
+      results[await attemptFriendHugDelivery(claimed)]++
+    })
+
+    res.json({ success: true, ...results })
+  } catch (error) {
+    console.error('Error delivering queued friend hugs:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+app.get('/api/cron/deliver-friend-hugs', authenticateCron, deliverQueuedFriendHugsHandler)
+app.post('/api/cron/deliver-friend-hugs', authenticateCron, deliverQueuedFriendHugsHandler)
+
+// Hugs the caller has received from other members, newest first. Hugs from
+// members the caller has blocked are left out.
+app.get('/api/me/friend-hugs', authenticateUser, async (req, res) => {
+  try {
+    const limit = parseLimitQuery(req.query.limit)
+    const hugsRef = db.collection('friendHugs')
+    let query = hugsRef.where('recipientUid', '==', req.user.uid).orderBy('createdAt', 'desc').limit(limit)
+    if (req.query.cursor) {
+      const cursorDoc = await hugsRef.doc(String(req.query.cursor)).get()
+      if (!cursorDoc.exists || cursorDoc.data().recipientUid !== req.user.uid) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' })
+      }
+      query = query.startAfter(cursorDoc)
+    }
+
+    const [snapshot, userDoc] = await Promise.all([query.get(), db.collection('users').doc(req.user.uid).get()])
+    const blocked = new Set(userDoc.data()?.blockedUids || [])
+    res.json({
+      success: true,
+      hugs: snapshot.docs.filter(doc => !blocked.has(doc.data().senderUid)).map(serializeFriendHug),
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    })
+  } catch (error) {
+    console.error('Error getting friend hugs:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Mark a received hug as read
+app.post('/api/me/friend-hugs/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const hugRef = db.collection('friendHugs').doc(req.params.id)
+    const hugDoc = await hugRef.get()
+    if (!hugDoc.exists || hugDoc.data().recipientUid !== req.user.uid) {
+      return res.status(404).json({ success: false, error: 'Hug not found' })
+    }
+
+    let readAt = hugDoc.data().readAt
+    if (!readAt) {
+      readAt = admin.firestore.Timestamp.now()
+      await hugRef.update({ readAt })
+    }
+
+    res.json({ success: true, id: hugDoc.id, readAt: readAt.toDate() })
+  } catch (error) {
+    console.error('Error marking friend hug as read:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Handlers for the caller's block and mute lists, stored as uid arrays on the
+// profile (`field` is blockedUids or mutedUids). Any uid is accepted so the
+// lists do not reveal who is a member.
+const memberListHandlers = (field, key) => ({
+  list: async (req, res) => {
+    try {
+      const userDoc = await db.collection('users').doc(req.user.uid).get()
+      res.json({ success: true, [key]: userDoc.data()?.[field] || [] })
+    } catch (error) {
+      console.error(`Error getting ${key} members:`, error)
+      res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+    }
+  },
+  add: async (req, res) => {
+    try {
+      const { uid } = req.params
+      if (uid.length > 128) {
+        return res.status(400).json({ success: false, error: 'uid must be a string' })
+      }
+      if (uid === req.user.uid) {
+        return res.status(400).json({ success: false, error: 'You cannot add yourself' })
+      }
+
+      const userRef = db.collection('users').doc(req.user.uid)
+      const current = (await userRef.get()).data()?.[field] || []
+      if (!current.includes(uid) && current.length >= MEMBER_LIST_MAX) {
+        return res.status(400).json({ success: false, error: `At most ${MEMBER_LIST_MAX} members can be ${key}` })
+      }
+
+      await userRef.set({ [field]: admin.firestore.FieldValue.arrayUnion(uid) }, { merge: true })
+      res.json({ success: true, uid, [key]: true })
+    } catch (error) {
+      console.error(`Error adding ${key} member:`, error)
+      res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+    }
+  },
+  remove: async (req, res) => {
+    try {
+      await db.collection('users').doc(req.user.uid).set({
+        [field]: admin.firestore.FieldValue.arrayRemove(req.params.uid)
+      }, { merge: true })
+      res.json({ success: true, uid: req.params.uid, [key]: false })
+    } catch (error) {
+      console.error(`Error removing ${key} member:`, error)
+      res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+    }
+  }
+})
+
+const blockedHandlers = memberListHandlers('blockedUids', 'blocked')
+const mutedHandlers = memberListHandlers('mutedUids', 'muted')
+
+// Block list: hugs from these members are dropped
+app.get('/api/me/blocked', authenticateUser, blockedHandlers.list)
+app.put('/api/me/blocked/:uid', authenticateUser, blockedHandlers.add)
+app.delete('/api/me/blocked/:uid', authenticateUser, blockedHandlers.remove)
+
+// Mute list: hugs from these members reach the inbox without a push
+app.get('/api/me/muted', authenticateUser, mutedHandlers.list)
+app.put('/api/me/muted/:uid', authenticateUser, mutedHandlers.add)
+app.delete('/api/me/muted/:uid', authenticateUser, mutedHandlers.remove)
+
+// ---------------------------------------------------------------------------
+// Outbound webhooks
+//
+// emitEvent() fans an event out to every enabled subscription in
+// `webhookSubscriptions` that listens for it. Each delivery is a doc in
+// `webhookDeliveries`, sent by GET /api/cron/deliver-webhooks once
+// `nextAttemptAt` passes: the first attempt on the next cron run, retries with
+// backoff after that. Bodies are signed with the subscription secret
+// (HMAC-SHA256). Subscription URLs must resolve to public addresses only; that
+// is checked when saving and again before every attempt.
+// ---------------------------------------------------------------------------
+
+const WEBHOOK_EVENTS = [
+  'user.created',
+  'user.activated',
+  'user.deactivated',
+  'user.tier_changed',
+  'user.trial_converted',
+  'user.erased',
+  'admin.granted',
+  'admin.revoked'
+]
+// Minutes to wait before each retry; the delivery fails after the last one
+const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720]
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000
+// How long an attempt holds a delivery before the cron may pick it up again
+const WEBHOOK_LEASE_MS = 5 * 60 * 1000
+const WEBHOOK_CRON_BATCH_SIZE = 100
+
+// Loopback, private, link-local (including the cloud metadata service at
+// 169.254.169.254), shared, multicast and reserved ranges. The IPv4 rules also
+// match IPv4-mapped IPv6 addresses (::ffff:10.0.0.1).
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList()
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+}
+
+// Resolve a subscription URL's host and throw unless every address it resolves
+// to is public
+const assertPublicWebhookUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '')
+  let addresses
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true })
+  } catch (err) {
+    throw new Error(`url host ${hostname} could not be resolved`)
+  }
+  if (addresses.length === 0 || addresses.some(({ address, family }) => BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new Error('url must point to a public address')
+  }
+}
+
+const webhookSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+// Validate a subscription. Throws on invalid input; `partial` allows updates.
+const normalizeWebhookSubscriptionInput = ({ name, url, events, enabled } = {}, partial = false) => {
+  const subscription = {}
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string') throw new Error('Subscription name is required')
+    subscription.name = name.trim()
+  }
+  if (!partial || url !== undefined) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (err) {
+      throw new Error('url must be a valid URL')
+    }
+    const allowHttp = process.env.NODE_ENV !== 'production'
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+      throw new Error('url must use https')
+    }
+    subscription.url = parsed.toString()
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error(`events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`)
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))
+    if (unknown.length > 0) throw new Error(`Unknown webhook event(s): ${unknown.join(', ')}`)
+    subscription.events = [...new Set(events)]
+  }
+  if (enabled !== undefined) subscription.enabled = !!enabled
+  else if (!partial) subscription.enabled = true
+  return subscription
+}
+
+// POST a delivery once and record the outcome, scheduling the next retry on failure
+const attemptWebhookDelivery = async (deliveryRef) => {
+  const delivery = (await deliveryRef.get()).data()
+  const subscriptionDoc = await db.collection('webhookSubscriptions').doc(delivery.subscriptionId).get()
+  const subscription = subscriptionDoc.exists ? subscriptionDoc.data() : null
+  if (!subscription || !subscription.enabled) {
+    await deliveryRef.update({
+      status: 'failed',
+      lastError: subscription ? 'Subscription is disabled' : 'Subscription was deleted',
+      nextAttemptAt: null,
+      updatedAt: admin.firestore.Timestamp.now()
+    })
+    return 'failed'
+  }
+
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const attempts = (delivery.attempts || 0) + 1
+  let statusCode = null
+  let error = null
+  try {
+    // DNS may have changed since the subscription was saved
+    await assertPublicWebhookUrl(subscription.url)
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MyDailyHug-Webhooks/1.0',
+        'X-Webhook-Id': deliveryRef.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': `t=${timestamp},v1=${webhookSignature(subscription.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    })
+    statusCode = response.status
+    if (!response.ok) error = `HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`
+  } catch (err) {
+    error = err?.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : (err?.message || 'Request failed')
+  }
+
+  const now = Date.now()
+  const retryDelay = WEBHOOK_RETRY_DELAYS_MINUTES[attempts - 1]
+  const status = !error ? 'succeeded' : (retryDelay === undefined ? 'failed' : 'pending')
+  await deliveryRef.update({
+    status,
+    attempts,
+    lastStatusCode: statusCode,
+    lastError: error,
+    lastAttemptAt: admin.firestore.Timestamp.fromMillis(now),
+    nextAttemptAt: status === 'pending' ? admin.firestore.Timestamp.fromMillis(now + retryDelay * 60 * 1000) : null,
+    deliveredAt: status === 'succeeded' ? admin.firestore.Timestamp.fromMillis(now) : null,
+    updatedAt: admin.firestore.Timestamp.fromMillis(now)
+  })
+  if (error) console.error(`Webhook delivery ${deliveryRef.id} attempt ${attempts} failed:`, error)
+  return status
+}
+
+// Queue a delivery of `payload` to one subscription, due on the next cron run;
+// returns its ref
+const createWebhookDelivery = async (subscriptionId, subscription, payload, extra = {}) => {
+  const now = Date.now()
+  return db.collection('webhookDeliveries').add({
+    subscriptionId,
+    url: subscription.url,
+    event: payload.type,
+    eventId: payload.id,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    lastStatusCode: null,
+    lastError: null,
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(now),
+    createdAt: admin.firestore.Timestamp.fromMillis(now),
+    updatedAt: admin.firestore.Timestamp.fromMillis(now),
+    ...extra
+  })
+}
+
+// Emit an event to its subscribers. Never throws: webhook problems must not
+// fail the change that caused the event.
+const emitEvent = async (type, data) => {
+  try {
+    const snapshot = await db.collection('webhookSubscriptions')
+      .where('enabled', '==', true)
+      .where('events', 'array-contains-any', [type, '*'])
+      .get()
+    if (snapshot.empty) return
+
+    const payload = { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data }
+    const deliveryRefs = await Promise.all(snapshot.docs.map(doc => createWebhookDelivery(doc.id, doc.data(), payload)))
+    console.log('Webhook event emitted:', { type, eventId: payload.id, deliveries: deliveryRefs.length })
+  } catch (error) {
+    console.error(`Error emitting ${type} event:`, error)
+  }
+}
+
+const serializeWebhookSubscription = (doc) => {
+  const { secret, ...data } = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    secretHint: secret ? `…${secret.slice(-4)}` : null,
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  }
+}
+
+const serializeWebhookDelivery = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  createdAt: doc.data().createdAt?.toDate?.() || null,
+  updatedAt: doc.data().updatedAt?.toDate?.() || null,
+  lastAttemptAt: doc.data().lastAttemptAt?.toDate?.() || null,
+  nextAttemptAt: doc.data().nextAttemptAt?.toDate?.() || null,
+  deliveredAt: doc.data().deliveredAt?.toDate?.() || null
+})
+
+// Retry deliveries whose next attempt is due (cron)
+const deliverDueWebhooksHandler = async (req, res) => {
+  try {
+    const now = admin.firestore.Timestamp.now()
+    const snapshot = await db.collection('webhookDeliveries')
+      .where('status', '==', 'pending')
+      .where('nextAttemptAt', '<=', now)
+      .orderBy('nextAttemptAt')
+      .limit(WEBHOOK_CRON_BATCH_SIZE)
+      .get()
+
+    const results = { due: snapshot.size, succeeded: 0, pending: 0, failed: 0, claimedElsewhere: 0 }
+    await mapWithConcurrency(snapshot.docs, 5, async (doc) => {
+      // Claim by pushing nextAttemptAt out, so overlapping cron runs skip it
+      const claimed = await db.runTransaction(async (tx) => {
+        const current = await tx.get(doc.ref)
+        const data = current.data()
+        if (data.status !== 'pending' || data.nextAttemptAt?.toMillis() > Date.now()) return false
+        tx.update(doc.ref, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_LEASE_MS) })
+        return true
+      })
+      if (!claimed) {
+        results.claimedElsewhere++
+        return
+      }
+      results[await attemptWebhookDelivery(doc.ref)]++
+    })
+
+    res.json({ success: true, ...results })
+  } catch (error) {
+    console.error('Error delivering webhooks:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+app.get('/api/cron/deliver-webhooks', authenticateCron, deliverDueWebhooksHandler)
+app.post('/api/cron/deliver-webhooks', authenticateCron, deliverDueWebhooksHandler)
+
+// Create a webhook subscription. The signing secret is only returned here.
+app.post('/api/webhook-subscriptions', authorize('integrations:manage'), audit('webhook_subscription.create'), async (req, res) => {
+  try {
+    let subscription
+    try {
+      subscription = normalizeWebhookSubscriptionInput(req.body || {})
+      await assertPublicWebhookUrl(subscription.url)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`
+    const now = admin.firestore.Timestamp.now()
+    const docRef = await db.collection('webhookSubscriptions').add({
+      ...subscription,
+      secret,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid,
+      createdAt: now,
+      updatedAt: now
+    })
+
+    res.status(201).json({ success: true, subscription: serializeWebhookSubscription(await docRef.get()), secret })
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List webhook subscriptions
+app.get('/api/webhook-subscriptions', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('webhookSubscriptions').orderBy('createdAt').get()
+    const subscriptions = snapshot.docs.map(serializeWebhookSubscription)
+
+    res.json({ success: true, subscriptions, total: subscriptions.length })
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one webhook subscription
+app.get('/api/webhook-subscriptions/:id', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('webhookSubscriptions').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' })
+    }
+
+    res.json({ success: true, subscription: serializeWebhookSubscription(doc) })
+  } catch (error) {
+    console.error('Error getting webhook subscription:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Update a webhook subscription's name, url, events or enabled flag
+app.put('/api/webhook-subscriptions/:id', authorize('integrations:manage'), audit('webhook_subscription.update'), async (req, res) => {
+  try {
+    const docRef = db.collection('webhookSubscriptions').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' })
+    }
+    auditDetails(req, { before: serializeWebhookSubscription(doc) })
+
+    let update
+    try {
+      update = normalizeWebhookSubscriptionInput(req.body || {}, true)
+      if (update.url) await assertPublicWebhookUrl(update.url)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    await docRef.update({ ...update, updatedAt: admin.firestore.Timestamp.now() })
+
+    res.json({ success: true, subscription: serializeWebhookSubscription(await docRef.get()) })
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Issue a new signing secret; the old one stops working immediately
+app.post('/api/webhook-subscriptions/:id/rotate-secret', authorize('integrations:manage'), audit('webhook_subscription.rotate_secret'), async (req, res) => {
+  try {
+    const docRef = db.collection('webhookSubscriptions').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' })
+    }
+    auditDetails(req, { before: serializeWebhookSubscription(doc) })
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`
+    await docRef.update({ secret, updatedAt: admin.firestore.Timestamp.now() })
+
+    res.json({ success: true, subscription: serializeWebhookSubscription(await docRef.get()), secret })
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Delete a webhook subscription. Its delivery log is kept.
+app.delete('/api/webhook-subscriptions/:id', authorize('integrations:manage'), audit('webhook_subscription.delete'), async (req, res) => {
+  try {
+    const docRef = db.collection('webhookSubscriptions').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' })
+    }
+    auditDetails(req, { before: serializeWebhookSubscription(doc) })
+
+    await docRef.delete()
+
+    res.json({ success: true, id: doc.id, deleted: true })
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List webhook deliveries, newest first. Filters: subscriptionId, status, event
+app.get('/api/webhook-deliveries', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const { subscriptionId, status, event, cursor } = req.query
+    const limit = parseLimitQuery(req.query.limit)
+
+    let query = db.collection('webhookDeliveries')
+    if (subscriptionId) query = query.where('subscriptionId', '==', subscriptionId)
+    if (status) query = query.where('status', '==', status)
+    if (event) query = query.where('event', '==', event)
+    query = query.orderBy('createdAt', 'desc').limit(limit)
+
+    if (cursor) {
+      const cursorDoc = await db.collection('webhookDeliveries').doc(cursor).get()
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' })
+      }
+      query = query.startAfter(cursorDoc)
+    }
+
+    const snapshot = await query.get()
+    const deliveries = snapshot.docs.map(serializeWebhookDelivery)
+
+    res.json({
+      success: true,
+      deliveries,
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    })
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one webhook delivery, including its payload
+app.get('/api/webhook-deliveries/:id', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('webhookDeliveries').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' })
+    }
+
+    res.json({ success: true, delivery: serializeWebhookDelivery(doc) })
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Replay a finished delivery as a new one with the same event payload.
+// The first attempt runs before responding.
+app.post('/api/webhook-deliveries/:id/replay', authorize('integrations:manage'), audit('webhook_delivery.replay'), async (req, res) => {
+  try {
+    const doc = await db.collection('webhookDeliveries').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' })
+    }
+    if (doc.data().status === 'pending') {
+      return res.status(409).json({ success: false, error: 'Delivery is still being retried' })
+    }
+
+    const subscriptionDoc = await db.collection('webhookSubscriptions').doc(doc.data().subscriptionId).get()
+    if (!subscriptionDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' })
+    }
+
+    const deliveryRef = await createWebhookDelivery(subscriptionDoc.id, subscriptionDoc.data(), doc.data().payload, {
+      replayOf: doc.id,
+      replayedBy: req.adminDisplayName || 'Admin',
+      // Leased to the attempt below; the cron takes over if that never finishes
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_LEASE_MS)
+    })
+    await attemptWebhookDelivery(deliveryRef)
+    auditDetails(req, { metadata: { replayDeliveryId: deliveryRef.id, subscriptionId: subscriptionDoc.id } })
+
+    res.json({ success: true, delivery: serializeWebhookDelivery(await deliveryRef.get()) })
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Mailer
+//
+// sendMail() hands a message to the provider named by MAIL_PROVIDER: `smtp`
+// (configured by the SMTP_* variables), `file` (one JSON file per message in
+// MAIL_OUTBOX_DIR) or `console` (logged). The last two are stand-ins for local
+// development. Bodies come from the templates below, which admins can override
+// in `mailTemplates/{name}` using the same `{{variable}}` placeholders as
+// notification templates.
+// ---------------------------------------------------------------------------
+
+const MAIL_PROVIDER = process.env.MAIL_PROVIDER || (process.env.SMTP_HOST ? 'smtp' : 'console')
+const MAIL_FROM = process.env.MAIL_FROM || 'My Daily Hug <no-reply@mydailyhug.com>'
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'mydailyhug-mail')
+
+// Each provider builds a send(message) function resolving to { messageId }
+const MAIL_PROVIDERS = {
+  smtp: () => {
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    return async (message) => {
+      const info = await transport.sendMail(message)
+      return { messageId: info.messageId }
+    }
+  },
+  file: () => async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true })
+    await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, `${messageId}.json`), JSON.stringify(message, null, 2))
+    return { messageId }
+  },
+  // Logs only the subject: the recipient is personal data, and welcome emails
+  // carry sign-in links and one-time passwords
+  console: () => async (message) => {
+    console.log('Email (console mailer):', { subject: message.subject })
+    return { messageId: `console-${crypto.randomBytes(4).toString('hex')}` }
+  }
+}
+
+// The development providers keep messages on this machine, so production refuses them
+const MAIL_PROVIDER_ALLOWED = process.env.NODE_ENV !== 'production' || MAIL_PROVIDER === 'smtp'
+if (!MAIL_PROVIDER_ALLOWED) {
+  console.warn(`MAIL_PROVIDER is "${MAIL_PROVIDER}": emails cannot be sent in production until SMTP is configured`)
+}
+
+let mailTransport = null
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const createTransport = MAIL_PROVIDERS[MAIL_PROVIDER]
+  if (!createTransport) {
+    throw new Error(`Unknown MAIL_PROVIDER "${MAIL_PROVIDER}". Use one of: ${Object.keys(MAIL_PROVIDERS).join(', ')}`)
+  }
+  if (!MAIL_PROVIDER_ALLOWED) {
+    throw new Error('Email is not configured: set SMTP_HOST (MAIL_PROVIDER=smtp) in production')
+  }
+  mailTransport = mailTransport || createTransport()
+  const { messageId } = await mailTransport({ from: MAIL_FROM, to, subject, text, html: html || undefined })
+  return { provider: MAIL_PROVIDER, messageId }
+}
+
+const MAIL_TEMPLATE_VARIABLES = ['firstName', 'lastName', 'displayName', 'email', 'link', 'password']
+// Built-in templates. `requires` is the placeholder every body must keep, or
+// the member gets no way to sign in.
+const DEFAULT_MAIL_TEMPLATES = {
+  welcome_link: {
+    requires: 'link',
+    subject: 'Welcome to My Daily Hug',
+    text: 'Hi {{firstName | there}},\n\nYour My Daily Hug account is ready. Choose your password to sign in:\n\n{{link}}\n\nThe link expires after an hour. If it has, reply to this email and we will send a new one.\n\nWith love,\nThe My Daily Hug team',
+    html: '<p>Hi {{firstName | there}},</p><p>Your My Daily Hug account is ready. Choose your password to sign in:</p><p><a href="{{link}}">Choose my password</a></p><p>The link expires after an hour. If it has, reply to this email and we will send a new one.</p><p>With love,<br>The My Daily Hug team</p>'
+  },
+  welcome_password: {
+    requires: 'password',
+    subject: 'Welcome to My Daily Hug',
+    text: 'Hi {{firstName | there}},\n\nYour My Daily Hug account is ready. Sign in with {{email}} and this one-time password:\n\n{{password}}\n\nYou will be asked to choose your own password straight away.\n\nWith love,\nThe My Daily Hug team',
+    html: '<p>Hi {{firstName | there}},</p><p>Your My Daily Hug account is ready. Sign in with {{email}} and this one-time password:</p><p><strong>{{password}}</strong></p><p>You will be asked to choose your own password straight away.</p><p>With love,<br>The My Daily Hug team</p>'
+  }
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char])
+
+// Render a mail template; values are HTML-escaped in the html body
+const renderMailTemplate = (template, variables) => {
+  const escaped = Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, value == null ? value : escapeHtml(value)]))
+  const mail = {
+    subject: renderTemplateText(template.subject, variables),
+    text: renderTemplateText(template.text, variables)
+  }
+  if (template.html) mail.html = renderTemplateText(template.html, escaped)
+  return mail
+}
+
+// Validate an override of a built-in template and normalise it to the stored shape
+const normalizeMailTemplateInput = (name, { subject, text, html } = {}) => {
+  if (!subject || !text || typeof subject !== 'string' || typeof text !== 'string') {
+    throw new Error('subject and text are required')
+  }
+  if (html !== undefined && html !== null && typeof html !== 'string') throw new Error('html must be a string')
+
+  const parts = [subject, text, html].filter(Boolean)
+  for (const part of parts) {
+    const stripped = part.replace(TEMPLATE_PLACEHOLDER, '')
+    if (stripped.includes('{{') || stripped.includes('}}')) {
+      throw new Error('Template has an unclosed or malformed {{placeholder}}')
+    }
+  }
+  const unknown = [...new Set(parts.flatMap(extractTemplateVariables))].filter(variable => !MAIL_TEMPLATE_VARIABLES.includes(variable))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown template variable(s): ${unknown.join(', ')}. Allowed: ${MAIL_TEMPLATE_VARIABLES.join(', ')}`)
+  }
+  const { requires } = DEFAULT_MAIL_TEMPLATES[name]
+  if (![text, html].filter(Boolean).every(part => extractTemplateVariables(part).includes(requires))) {
+    throw new Error(`text and html must contain {{${requires}}}`)
+  }
+
+  return { subject, text, html: html || null }
+}
+
+// The template in effect: the stored override, else the built-in one
+const loadMailTemplate = async (name) => {
+  const doc = await db.collection('mailTemplates').doc(name).get()
+  const data = doc.exists ? doc.data() : {}
+  return {
+    name,
+    ...DEFAULT_MAIL_TEMPLATES[name],
+    ...data,
+    customized: doc.exists,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  }
+}
+
+const findMailTemplateName = (req, res) => {
+  if (Object.prototype.hasOwnProperty.call(DEFAULT_MAIL_TEMPLATES, req.params.name)) return req.params.name
+  res.status(404).json({ success: false, error: `Unknown mail template. Use one of: ${Object.keys(DEFAULT_MAIL_TEMPLATES).join(', ')}` })
+  return null
+}
+
+// List the mail templates in effect
+app.get('/api/mail-templates', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(DEFAULT_MAIL_TEMPLATES).map(loadMailTemplate))
+
+    res.json({ success: true, templates, variables: MAIL_TEMPLATE_VARIABLES, provider: MAIL_PROVIDER })
+  } catch (error) {
+    console.error('Error listing mail templates:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one mail template
+app.get('/api/mail-templates/:name', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const name = findMailTemplateName(req, res)
+    if (!name) return
+
+    res.json({ success: true, template: await loadMailTemplate(name) })
+  } catch (error) {
+    console.error('Error getting mail template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Override a mail template. Fields not provided are kept.
+app.put('/api/mail-templates/:name', authorize('integrations:manage'), audit('mail_template.update'), async (req, res) => {
+  try {
+    const name = findMailTemplateName(req, res)
+    if (!name) return
+    const current = await loadMailTemplate(name)
+    auditDetails(req, { before: current })
+
+    let template
+    try {
+      template = normalizeMailTemplateInput(name, {
+        subject: current.subject,
+        text: current.text,
+        html: current.html,
+        ...req.body
+      })
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    await db.collection('mailTemplates').doc(name).set({
+      ...template,
+      updatedBy: req.adminDisplayName || 'Admin',
+      updatedByUid: req.user.uid,
+      updatedAt: admin.firestore.Timestamp.now()
+    })
+
+    res.json({ success: true, template: await loadMailTemplate(name) })
+  } catch (error) {
+    console.error('Error updating mail template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Drop the override and go back to the built-in template
+app.delete('/api/mail-templates/:name', authorize('integrations:manage'), audit('mail_template.reset'), async (req, res) => {
+  try {
+    const name = findMailTemplateName(req, res)
+    if (!name) return
+    auditDetails(req, { before: await loadMailTemplate(name) })
+
+    await db.collection('mailTemplates').doc(name).delete()
+
+    res.json({ success: true, template: await loadMailTemplate(name) })
+  } catch (error) {
+    console.error('Error resetting mail template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Preview a mail template for a given user (or with only fallbacks), with a
+// sample link and password
+app.post('/api/mail-templates/:name/preview', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const name = findMailTemplateName(req, res)
+    if (!name) return
+
+    const { uid } = req.body || {}
+    let user = {}
+    if (uid) {
+      const userDoc = await db.collection('users').doc(uid).get()
+      if (!userDoc.exists) {
+        return res.status(404).json({ success: false, error: 'User not found' })
+      }
+      user = userDoc.data()
+    }
+
+    const variables = {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      displayName: user.displayName,
+      email: user.email || 'member@example.com',
+      link: 'https://example.com/choose-password',
+      password: 'one-time-password'
+    }
+    res.json({ success: true, name, uid: uid || null, ...renderMailTemplate(await loadMailTemplate(name), variables) })
+  } catch (error) {
+    console.error('Error previewing mail template:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// User provisioning
+//
+// Every route that creates members goes through provisionUser so the Auth
+// user, claims and `users/{uid}` profile look the same whatever the source.
+// ---------------------------------------------------------------------------
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const ACCOUNT_TYPES = ['Premium', 'Trial', 'Admin-Created']
+const ACCOUNT_STATUSES = ['Active', 'Inactive']
+// Membership tiers, lowest first, with what each one includes. A new tier only
+// needs an entry here. `hugsPerDay` is how many scheduled hugs a day the tier
+// gets: a schedule with `hugNumber` N reaches tiers with hugsPerDay >= N.
+// `friendHugsPerDay` caps the hugs a member may send to other members.
+const TIERS = {
+  single: { hugsPerDay: 1, friendHugsPerDay: 3 },
+  double: { hugsPerDay: 2, friendHugsPerDay: 5 },
+  triple: { hugsPerDay: 3, friendHugsPerDay: 10 }
+}
+const TIER_NAMES = Object.keys(TIERS)
+// Tier of members provisioned without one
+const DEFAULT_TIER = 'double'
+
+// A profile's tier. Profiles from before the tier field only have the
+// is_triple_hugger flag until /api/tiers/backfill has run.
+const userTier = (user = {}) => {
+  if (TIERS[user.tier]) return user.tier
+  return user.is_triple_hugger === 'Yes' ? 'triple' : DEFAULT_TIER
+}
+
+const tierEntitlements = (tier) => ({ ...TIERS[tier] })
+
+// Older app versions read is_triple_hugger, so it is kept in step with `tier`
+const tripleHuggerFlag = (tier) => (tier === 'triple' ? 'Yes' : 'No')
+
+// How new members get in: an emailed password-reset link (`link`) or an
+// emailed one-time password they change at first sign-in (`password`)
+const WELCOME_METHODS = ['link', 'password']
+const WELCOME_METHOD = WELCOME_METHODS.includes(process.env.WELCOME_METHOD) ? process.env.WELCOME_METHOD : 'link'
+// Where the password page sends members afterwards; the domain must be authorized in Firebase Auth
+const WELCOME_CONTINUE_URL = process.env.WELCOME_CONTINUE_URL || ''
+
+const generateTempPassword = () => crypto.randomBytes(12).toString('base64url')
+
+// Return the Auth user registered with an email, or null when there is none
+const findAuthUserByEmail = async (email) => {
+  try {
+    return await admin.auth().getUserByEmail(email)
+  } catch (err) {
+    if (err && err.code === 'auth/user-not-found') return null
+    throw err
+  }
+}
+
+// Return the Auth user with a uid, or null when there is none
+const findAuthUser = async (uid) => {
+  try {
+    return await admin.auth().getUser(uid)
+  } catch (err) {
+    if (err && err.code === 'auth/user-not-found') return null
+    throw err
+  }
+}
+
+const hasUserProfile = async (uid) => (await db.collection('users').doc(uid).get()).exists
+
+// An Auth user without a `users/{uid}` profile is either left over from a
+// provisioning run that failed halfway, or a member who signed up in the app
+// before their profile was written. Only the first is ours to finish (callers
+// report anything else as a duplicate): provisionUser marks the Auth users it
+// creates with the `provisionedByBackend` claim straight away.
+const isUnfinishedProvisioning = async (authUser) => authUser.customClaims?.provisionedByBackend === true &&
+  !await hasUserProfile(authUser.uid)
+
+// Email a member their way in and record the outcome on the profile as
+// `welcomeEmail`. For `password`, the given password (or a new one, set on the
+// Auth user) only ever exists in the email. A mail failure is returned, not
+// thrown: the account exists either way and the email can be resent.
+const sendWelcomeEmail = async (uid, { method = WELCOME_METHOD, password } = {}) => {
+  const userRef = db.collection('users').doc(uid)
+  const profile = (await userRef.get()).data() || {}
+  const result = { method, sent: false }
+  try {
+    if (!profile.email) throw new Error('Member has no email address')
+    const variables = {
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      displayName: profile.displayName,
+      email: profile.email
+    }
+    if (method === 'password') {
+      variables.password = password || generateTempPassword()
+      if (!password) await admin.auth().updateUser(uid, { password: variables.password })
+      // Cleared by POST /api/me/password once the member has chosen their own
+      await mergeUserClaims(uid, { mustChangePassword: true })
+    } else {
+      variables.link = await admin.auth().generatePasswordResetLink(profile.email, WELCOME_CONTINUE_URL ? { url: WELCOME_CONTINUE_URL } : undefined)
+    }
+
+    const template = await loadMailTemplate(`welcome_${method}`)
+    const { provider, messageId } = await sendMail({ to: profile.email, ...renderMailTemplate(template, variables) })
+    Object.assign(result, { sent: true, provider, messageId })
+  } catch (error) {
+    console.error('Error sending welcome email:', uid, error)
+    result.error = error?.message || 'Failed to send welcome email'
+  }
+
+  await userRef.set({
+    welcomeEmail: { ...result, attemptedAt: admin.firestore.Timestamp.now() },
+    // Left by versions that stored the temp password
+    tempPassword: admin.firestore.FieldValue.delete(),
+    passwordGeneratedAt: admin.firestore.FieldValue.delete()
+  }, { merge: true })
+  return result
+}
+
+// Create the Auth user, write the profile and send the welcome email. Callers
+// are expected to have checked the email is free, or to pass an `authUser`
+// for which isUnfinishedProvisioning holds. If a step before the email fails, an
+// Auth user created here is deleted again so a retry starts clean. A given
+// `tempPassword` becomes the password and is emailed as the one-time password.
+const provisionUser = async ({
+  email,
+  firstName = '',
+  lastName = '',
+  tempPassword,
+  userType = 'user',
+  accountType,
+  accountStatus = 'Active',
+  tier = DEFAULT_TIER,
+  creationEndpoint,
+  createdBy,
+  trialEndsAt,
+  authUser = null,
+  sendWelcome = true
+}) => {
+  const welcomeMethod = tempPassword ? 'password' : WELCOME_METHOD
+  const password = tempPassword || generateTempPassword()
+  const trialEnd = accountType === 'Trial' ? (trialEndsAt || resolveTrialEndsAt()) : null
+  const userRecord = authUser || await admin.auth().createUser({ email, password, disabled: accountStatus === 'Inactive' })
+  const uid = userRecord.uid
+  console.log(authUser ? 'Finishing half-provisioned user:' : 'New user created:', uid, `(${creationEndpoint})`)
+
+  try {
+    if (authUser) await admin.auth().updateUser(uid, { password, disabled: accountStatus === 'Inactive' })
+    await mergeUserClaims(uid, { mustChangePassword: welcomeMethod === 'password', role: userType, provisionedByBackend: true })
+
+    const displayName = `${firstName || ''} ${lastName || ''}`.trim() || userRecord.displayName || ''
+    const userData = {
+      uid,
+      email,
+      userType,
+      accountType,
+      creationEndpoint,
+      createdBy,
+      accountStatus,
+      tier,
+      is_triple_hugger: tripleHuggerFlag(tier),
+      updatedAt: admin.firestore.Timestamp.now()
+    }
+    if (firstName) userData.firstName = firstName
+    if (lastName) userData.lastName = lastName
+    if (displayName) userData.displayName = displayName
+    if (trialEnd) Object.assign(userData, trialProfileFields(trialEnd))
+    userData.createdAt = admin.firestore.FieldValue.serverTimestamp()
+
+    console.log('Writing user data to Firestore:', uid)
+    await db.collection('users').doc(uid).set(userData, { merge: true })
+  } catch (error) {
+    if (!authUser) {
+      console.error('Provisioning failed, deleting Auth user:', uid)
+      await admin.auth().deleteUser(uid).catch(rollbackError => {
+        console.error('Error rolling back Auth user:', uid, rollbackError)
+      })
+    }
+    throw error
+  }
+
+  await emitEvent('user.created', {
+    uid,
+    email,
+    firstName: firstName || null,
+    lastName: lastName || null,
+    userType,
+    accountType,
+    accountStatus,
+    tier,
+    trialEndsAt: trialEnd,
+    source: creationEndpoint
+  })
+
+  // Audited fields of the new profile, for callers to log
+  const profile = { userType, accountType, accountStatus, tier }
+  if (trialEnd) Object.assign(profile, { trialStatus: 'active', trialEndsAt: trialEnd })
+
+  // Inactive members can be sent theirs with resend-welcome once reactivated
+  let welcomeEmail
+  if (!sendWelcome) welcomeEmail = { method: welcomeMethod, sent: false, skipped: 'Not requested' }
+  else if (accountStatus === 'Inactive') welcomeEmail = { method: welcomeMethod, sent: false, skipped: 'Account is inactive' }
+  else welcomeEmail = await sendWelcomeEmail(uid, { method: welcomeMethod, password })
+  return { uid, email, profile, welcomeEmail }
+}
+
+// Emit user.activated / user.deactivated / user.tier_changed for whatever
+// differs between two versions of a profile. Profiles predating these fields
+// count as Active and of the tier userTier derives.
+const emitProfileChangeEvents = async (uid, before, after) => {
+  const email = after.email || before.email || null
+  const previousAccountStatus = before.accountStatus || 'Active'
+  if (after.accountStatus && after.accountStatus !== previousAccountStatus) {
+    await emitEvent(after.accountStatus === 'Inactive' ? 'user.deactivated' : 'user.activated', {
+      uid,
+      email,
+      accountStatus: after.accountStatus,
+      previousAccountStatus
+    })
+  }
+  const previousTier = userTier(before)
+  if (after.tier && after.tier !== previousTier) {
+    await emitEvent('user.tier_changed', { uid, email, tier: after.tier, previousTier })
+  }
+}
+
+// Validate the optional reason / reactivateAt sent with a status change. Throws on bad input.
+const parseStatusChangeInput = ({ reason, reactivateAt } = {}) => {
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    throw new Error('reason must be a string of at most 500 characters')
+  }
+  let reactivateDate = null
+  if (reactivateAt !== undefined && reactivateAt !== null && reactivateAt !== '') {
+    reactivateDate = parseDateQuery(reactivateAt)
+    if (!reactivateDate || reactivateDate.getTime() <= Date.now()) {
+      throw new Error('reactivateAt must be a future ISO date')
+    }
+  }
+  return { reason: reason?.trim() || null, reactivateAt: reactivateDate }
+}
+
+// Set `accountStatus` (Active / Inactive) on a member's profile. Inactive also
+// disables the Firebase Auth user and revokes its refresh tokens, and may carry
+// a reason and a reactivateAt date; Active re-enables the user and clears them.
+// Every call is recorded in `users/{uid}/statusHistory`. Returns the old and
+// new value for the audit log.
+const setAccountStatus = async (uid, accountStatus, { reason = null, reactivateAt = null, changedBy = null, source = null } = {}) => {
+  const userRef = db.collection('users').doc(uid)
+  const before = (await userRef.get()).data() || {}
+  const inactive = accountStatus === 'Inactive'
+
+  try {
+    await admin.auth().updateUser(uid, { disabled: inactive })
+    if (inactive) await admin.auth().revokeRefreshTokens(uid)
+  } catch (err) {
+    if (err?.code !== 'auth/user-not-found') throw err
+    console.warn('No Auth user to update for status change:', uid)
+  }
+
+  const now = admin.firestore.Timestamp.now()
+  const reactivateTimestamp = reactivateAt ? admin.firestore.Timestamp.fromDate(reactivateAt) : null
+  const batch = db.batch()
+  batch.set(userRef, inactive
+    ? { accountStatus, deactivatedAt: now, deactivationReason: reason, reactivateAt: reactivateTimestamp, updatedAt: now }
+    : {
+        accountStatus,
+        deactivatedAt: admin.firestore.FieldValue.delete(),
+        deactivationReason: admin.firestore.FieldValue.delete(),
+        reactivateAt: admin.firestore.FieldValue.delete(),
+        updatedAt: now
+      }, { merge: true })
+  batch.set(userRef.collection('statusHistory').doc(), {
+    from: before.accountStatus ?? null,
+    to: accountStatus,
+    reason,
+    reactivateAt: reactivateTimestamp,
+    source,
+    changedBy,
+    createdAt: now
+  })
+  await batch.commit()
+
+  await emitProfileChangeEvents(uid, before, { accountStatus })
+  return {
+    before: { accountStatus: before.accountStatus ?? null },
+    after: inactive ? { accountStatus, reason, reactivateAt } : { accountStatus }
+  }
+}
+
+// Set a member's `tier` (and the is_triple_hugger flag derived from it). Every
+// actual change is recorded in `users/{uid}/tierHistory`. Returns the old and
+// new value for the audit log.
+const setTier = async (uid, tier, { reason = null, changedBy = null, source = null } = {}) => {
+  const userRef = db.collection('users').doc(uid)
+  const before = (await userRef.get()).data() || {}
+  const previousTier = userTier(before)
+  const now = admin.firestore.Timestamp.now()
+
+  const batch = db.batch()
+  batch.set(userRef, { tier, is_triple_hugger: tripleHuggerFlag(tier), updatedAt: now }, { merge: true })
+  if (tier !== previousTier) {
+    batch.set(userRef.collection('tierHistory').doc(), {
+      from: previousTier,
+      to: tier,
+      reason,
+      source,
+      changedBy,
+      createdAt: now
+    })
+  }
+  await batch.commit()
+
+  await emitProfileChangeEvents(uid, before, { tier })
+  return {
+    before: { tier: before.tier ?? null, is_triple_hugger: before.is_triple_hugger ?? null },
+    after: { tier, is_triple_hugger: tripleHuggerFlag(tier) }
+  }
+}
+
+// Why the caller may not move a user between two roles, or null. Only owners
+// grant or remove the owner role, except that admins may name the first owner,
+// and the last account that can manage roles keeps that ability.
+const roleChangeError = async (req, uid, from, to) => {
+  // Checked even when the role does not change: re-granting `owner` to an owner
+  // must not let a non-owner touch the account
+  if ((from === 'owner' || to === 'owner') && !hasPermission(req.role, 'owners:manage')) {
+    const owners = await db.collection('users').where('userType', '==', 'owner').limit(1).get()
+    if (from === 'owner' || !owners.empty) return { status: 403, error: 'Only an owner can grant or remove the owner role' }
+  }
+  if (from === to) return null
+  if (uid && ROLE_MANAGER_ROLES.includes(from) && !ROLE_MANAGER_ROLES.includes(to)) {
+    const managers = await db.collection('users').where('userType', 'in', ROLE_MANAGER_ROLES).limit(2).get()
+    if (managers.docs.every(doc => doc.id === uid)) return { status: 409, error: 'Cannot remove the last admin' }
+  }
+  return null
+}
+
+// Grant a staff role (default admin) by email. If Auth user doesn't exist, create it and create/merge profile
+app.post('/api/grant-admin', authorize('roles:manage'), audit('admin.grant'), async (req, res) => {
+  try {
+    console.log('Grant admin request received:', { by: req.user.uid })
+    const { email, firstName = '', lastName = '', tempPassword, role = 'admin' } = req.body || {}
+
+    if (!email || typeof email !== 'string') {
+      console.log('Invalid email provided')
+      return res.status(400).json({ success: false, error: 'Valid email is required' })
+    }
+
+    // Basic email format validation
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+    if (!emailRegex.test(email)) {
+      console.log('Invalid email format')
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid email format' 
+      })
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${STAFF_ROLES.join(', ')}` })
+    }
+
+    // Find or create Auth user
+    console.log('Looking up user by email')
+    let userRecord = await findAuthUserByEmail(email)
+    // Setting the password of an existing account would let the caller sign in as them
+    if (userRecord && tempPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'tempPassword is only accepted for new accounts; use /api/resend-welcome to send a sign-in link'
+      })
+    }
+    const previousProfile = userRecord ? (await db.collection('users').doc(userRecord.uid).get()).data() : undefined
+    const previousRole = userRecord?.customClaims?.role || previousProfile?.userType || 'user'
+    const roleError = await roleChangeError(req, userRecord?.uid, previousRole, role)
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, error: roleError.error })
+    }
+
+    let createdAccount = false
+    const password = tempPassword || generateTempPassword()
+    if (userRecord) {
+      console.log('User found:', userRecord.uid)
+    } else {
+      console.log('User not found, creating new user')
+      // The welcome email gives the new staff member a way in
+      userRecord = await admin.auth().createUser({ email, password })
+      createdAccount = true
+      console.log('New user created:', userRecord.uid)
+    }
+
+    // Grant the role claim
+    console.log('Setting custom claims for user:', userRecord.uid)
+    if (userRecord.customClaims?.role !== role) await setRoleClaim(userRecord.uid, role)
+
+    // Update Firestore profile: set the role and names if provided
+    const uid = userRecord.uid
+    const displayName = `${firstName || ''} ${lastName || ''}`.trim() || userRecord.displayName || ''
+    // Admin names come from the ID token, so keep the Auth display name in step
+    if (displayName && displayName !== userRecord.displayName) {
+      await admin.auth().updateUser(uid, { displayName })
+    }
+    
+    // Prepare user data object
+    const userData = {
+      uid,
+      email,
+      userType: role,
+      accountType: 'Admin-Created',
+      creationEndpoint: 'grant_admin',
+      createdBy: req.adminDisplayName || 'Admin',
+      accountStatus: 'Active',
+      tier: DEFAULT_TIER,
+      is_triple_hugger: tripleHuggerFlag(DEFAULT_TIER),
+      updatedAt: admin.firestore.Timestamp.now()
+    }
+    
+    // Only add fields if they have values
     if (firstName) userData.firstName = firstName
     if (lastName) userData.lastName = lastName
     if (displayName) userData.displayName = displayName
-    userData.createdAt = admin.firestore.FieldValue.serverTimestamp()
+    
+    // Set createdAt only for new users
+    if (createdAccount) {
+      userData.createdAt = admin.firestore.FieldValue.serverTimestamp()
+    }
+    
+    console.log('Writing user data to Firestore:', uid)
+    await db.collection('users').doc(uid).set(userData, { merge: true })
+    console.log('Successfully wrote user data to Firestore')
+
+    // New admins are emailed how to sign in
+    let welcomeEmail
+    if (createdAccount) {
+      welcomeEmail = await sendWelcomeEmail(uid, {
+        method: tempPassword ? 'password' : WELCOME_METHOD,
+        password
+      })
+    }
+
+    auditDetails(req, {
+      targetUid: uid,
+      before: auditUserFields(previousProfile),
+      after: auditUserFields(userData),
+      metadata: { createdAccount }
+    })
+
+    await emitEvent('admin.granted', {
+      uid,
+      email,
+      role,
+      createdAccount,
+      grantedBy: req.adminDisplayName || 'Admin',
+      grantedByUid: req.user.uid
+    })
+
+    const response = {
+      success: true,
+      uid,
+      email,
+      role,
+      message: createdAccount ? 'Staff account created' : 'Role granted',
+      welcomeEmail
+    }
+    
+    console.log('Sending response:', { uid, welcomeEmail })
+    res.json(response)
+  } catch (error) {
+    console.error('Error granting admin:', error)
+    res.status(500).json({
+      success: false,
+      error: error?.message || 'Failed to grant admin role',
+      code: error?.code || undefined
+    })
+  }
+})
+
+// Take a staff role away from a user. Body: uid or email. The last admin cannot be removed.
+app.post('/api/revoke-admin', authorize('roles:manage'), audit('admin.revoke'), async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+
+    const authUser = uid ? await findAuthUser(uid) : await findAuthUserByEmail(email)
+    if (!authUser) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+
+    const userRef = db.collection('users').doc(authUser.uid)
+    const profile = (await userRef.get()).data()
+    // Either side may still hold the role after an interrupted change; both are reset
+    const previousRole = [authUser.customClaims?.role, profile?.userType].find(role => STAFF_ROLES.includes(role))
+    if (!previousRole) {
+      return res.status(409).json({ success: false, error: 'User has no staff role' })
+    }
+    const roleError = await roleChangeError(req, null, previousRole, 'user')
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, error: roleError.error })
+    }
+
+    const otherAdminExists = await db.runTransaction(async (tx) => {
+      const admins = await tx.get(db.collection('users').where('userType', 'in', ROLE_MANAGER_ROLES).limit(2))
+      if (ROLE_MANAGER_ROLES.includes(previousRole) && admins.docs.every(doc => doc.id === authUser.uid)) return false
+      if (profile) {
+        tx.update(userRef, {
+          userType: 'user',
+          roleUpdatedBy: req.adminDisplayName || 'Admin',
+          roleUpdatedByUid: req.user.uid,
+          updatedAt: admin.firestore.Timestamp.now()
+        })
+      }
+      return true
+    })
+    if (!otherAdminExists) {
+      return res.status(409).json({ success: false, error: 'Cannot remove the last admin' })
+    }
+    await setRoleClaim(authUser.uid, 'user')
+
+    auditDetails(req, {
+      targetUid: authUser.uid,
+      targetEmail: authUser.email,
+      before: auditUserFields(profile),
+      after: auditUserFields(profile && { ...profile, userType: 'user' })
+    })
+    await emitEvent('admin.revoked', {
+      uid: authUser.uid,
+      email: authUser.email,
+      previousRole,
+      revokedBy: req.adminDisplayName || 'Admin',
+      revokedByUid: req.user.uid
+    })
+
+    console.log('Admin role revoked:', { uid: authUser.uid, by: req.user.uid })
+    res.json({ success: true, uid: authUser.uid, email: authUser.email, previousRole, userType: 'user' })
+  } catch (error) {
+    console.error('Error revoking admin:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// List staff (every role but user) with whether their role claim matches Firestore
+app.get('/api/admins', authorize('users:read'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('users').where('userType', 'in', STAFF_ROLES).get()
+    const claims = new Map()
+    for (const docs of chunk(snapshot.docs, 100)) {
+      const { users } = await admin.auth().getUsers(docs.map(doc => ({ uid: doc.id })))
+      for (const user of users) claims.set(user.uid, user.customClaims || {})
+    }
+
+    const admins = snapshot.docs.map(doc => ({
+      ...sanitizeUser(doc),
+      roleClaim: claims.get(doc.id)?.role || null,
+      claimSynced: claims.get(doc.id)?.role === doc.data().userType
+    }))
+
+    res.json({ success: true, admins, total: admins.length })
+  } catch (error) {
+    console.error('Error listing admins:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Remove mustChangePassword custom claim endpoint. Kept for older app versions; same as /api/me/password-changed
+app.post('/api/remove-password-change-requirement', authenticateUser, audit('user.remove_password_requirement'), passwordChangedHandler)
+
+// Create new user endpoint
+app.post('/api/create-user', authorize('users:manage'), audit('user.create'), async (req, res) => {
+  try {
+    console.log('Create user request received:', { by: req.user.uid })
+    const { email, firstName = '', lastName = '', tempPassword } = req.body || {}
+
+    // Validate email format
+    if (!email || typeof email !== 'string') {
+      console.log('Invalid email provided')
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Valid email is required' 
+      })
+    }
+
+    // Basic email format validation
+    if (!EMAIL_REGEX.test(email)) {
+      console.log('Invalid email format')
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid email format' 
+      })
+    }
+
+    // Check duplicates
+    console.log('Looking up user by email')
+    const existing = await findAuthUserByEmail(email)
+    if (existing) {
+      console.log('User already exists:', existing.uid)
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists with this email',
+        uid: existing.uid
+      })
+    }
+
+    const { uid, profile, welcomeEmail } = await provisionUser({
+      email,
+      firstName,
+      lastName,
+      tempPassword,
+      userType: 'user', // Regular user role
+      accountType: 'Admin-Created',
+      creationEndpoint: 'create_user',
+      createdBy: req.adminDisplayName || 'Admin'
+    })
+    auditDetails(req, { targetUid: uid, after: profile })
+
+    const response = {
+      success: true,
+      email,
+      uid,
+      welcomeEmail
+    }
+    
+    console.log('Sending response:', { uid, welcomeEmail })
+    res.json(response)
+  } catch (error) {
+    console.error('Error creating user:', error)
+    res.status(500).json({
+      success: false,
+      error: error?.message || 'Failed to create user',
+      code: error?.code || undefined
+    })
+  }
+})
+
+// Email a member their welcome again, with a fresh link or one-time password.
+// A one-time password replaces the current one, so it is only sent to members
+// who have not chosen their own password yet.
+const resendWelcomeHandler = async (req, res) => {
+  try {
+    const { uid, email, method = WELCOME_METHOD } = req.body || {}
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+    if (!WELCOME_METHODS.includes(method)) {
+      return res.status(400).json({ success: false, error: `method must be one of: ${WELCOME_METHODS.join(', ')}` })
+    }
+
+    const userRecord = uid ? await findAuthUser(uid) : await findAuthUserByEmail(email)
+    if (!userRecord || !await hasUserProfile(userRecord.uid)) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+    auditDetails(req, { targetUid: userRecord.uid, targetEmail: userRecord.email })
+
+    if (userRecord.disabled) {
+      return res.status(409).json({ success: false, error: 'Account is inactive; make it active first' })
+    }
+    const hasOwnPassword = userRecord.metadata?.lastSignInTime && !userRecord.customClaims?.mustChangePassword
+    if (method === 'password' && hasOwnPassword) {
+      return res.status(409).json({ success: false, error: 'Member has already chosen a password; send a link instead' })
+    }
+
+    const welcomeEmail = await sendWelcomeEmail(userRecord.uid, { method })
+    auditDetails(req, { metadata: { method, sent: welcomeEmail.sent } })
+    if (!welcomeEmail.sent) {
+      return res.status(502).json({ success: false, error: welcomeEmail.error, welcomeEmail })
+    }
+
+    res.json({ success: true, uid: userRecord.uid, email: userRecord.email, welcomeEmail })
+  } catch (error) {
+    console.error('Error resending welcome email:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+// Resend the welcome email. Body: uid or email, optional method
+app.post('/api/resend-welcome', authorize('users:manage'), audit('user.resend_welcome'), resendWelcomeHandler)
+
+// GHL: Resend the welcome email via API key
+app.post('/api/ghl/resend-welcome', authenticateApiKey('users:create'), idempotent, audit('user.resend_welcome'), resendWelcomeHandler)
+
+// Remove temp passwords stored in plaintext by earlier versions
+app.post('/api/users/clear-temp-passwords', authorize('users:manage'), audit('user.clear_temp_passwords'), async (req, res) => {
+  try {
+    const dryRun = !!req.body?.dryRun
+    const snapshot = await db.collection('users').where('tempPassword', '!=', null).get()
+
+    if (!dryRun) {
+      await writeInBatches(snapshot.docs, (batch, doc) => batch.update(doc.ref, {
+        tempPassword: admin.firestore.FieldValue.delete(),
+        passwordGeneratedAt: admin.firestore.FieldValue.delete()
+      }))
+    }
+
+    auditDetails(req, { metadata: { dryRun, cleared: snapshot.size } })
+    res.json({ success: true, dryRun, cleared: snapshot.size, uids: snapshot.docs.map(doc => doc.id) })
+  } catch (error) {
+    console.error('Error clearing temp passwords:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Bulk user import
+// ---------------------------------------------------------------------------
+
+// Every new row creates an Auth user, sets claims, writes the profile and sends
+// a welcome email, all within one request. At IMPORT_CONCURRENCY that is a few
+// rows a second, so the default keeps a request inside a 10s function timeout.
+// Raise it only with a longer timeout; split bigger files into several requests.
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 50
+const IMPORT_CONCURRENCY = 5
+const IMPORT_EXISTING_POLICIES = ['skip', 'update', 'error']
+const IMPORT_COLUMNS = ['email', 'firstName', 'lastName', 'accountType', 'tier', 'status']
+
+// Parse RFC 4180 CSV (quoted fields, doubled quotes, CRLF) into rows of cells
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i]
+    if (quoted) {
+      if (ch !== '"') field += ch
+      else if (input[i + 1] === '"') { field += '"'; i++ } else quoted = false
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (quoted) throw new Error('CSV has an unterminated quoted field')
+  if (field !== '' || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+// Map CSV lines to row objects using the (case-insensitive) header line.
+// Unknown columns are ignored and blank lines dropped.
+const csvToImportRows = (text) => {
+  const [header, ...lines] = parseCsv(text)
+  if (!header) throw new Error('CSV is empty')
+  const columns = header.map(name => IMPORT_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()) || null)
+  if (!columns.includes('email')) throw new Error('CSV header must include an email column')
+
+  return lines
+    .filter(cells => cells.some(cell => cell.trim() !== ''))
+    .map(cells => {
+      const row = {}
+      columns.forEach((column, i) => {
+        if (column && cells[i] !== undefined) row[column] = cells[i]
+      })
+      return row
+    })
+}
+
+// Match a case-insensitive value against a list of canonical spellings
+const matchOption = (value, options, field) => {
+  const match = options.find(option => option.toLowerCase() === value.toLowerCase())
+  if (!match) throw new Error(`${field} must be one of: ${options.join(', ')}`)
+  return match
+}
+
+// Validate one import row. Throws on invalid input; blank cells count as absent.
+const normalizeImportRow = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) throw new Error('Row must be an object')
+  const text = (field) => {
+    const value = row[field]
+    if (value === undefined || value === null) return ''
+    if (typeof value !== 'string') throw new Error(`${field} must be a string`)
+    return value.trim()
+  }
+
+  const email = text('email')
+  if (!email) throw new Error('Valid email is required')
+  if (!EMAIL_REGEX.test(email)) throw new Error('Invalid email format')
+
+  const normalized = { email }
+  const firstName = text('firstName')
+  const lastName = text('lastName')
+  const accountType = text('accountType')
+  const tier = text('tier')
+  const status = text('status')
+  if (firstName) normalized.firstName = firstName
+  if (lastName) normalized.lastName = lastName
+  if (accountType) normalized.accountType = matchOption(accountType, ACCOUNT_TYPES, 'accountType')
+  if (tier) normalized.tier = matchOption(tier, TIER_NAMES, 'tier')
+  if (status) normalized.accountStatus = matchOption(status, ACCOUNT_STATUSES, 'status')
+  return normalized
+}
+
+// Apply the fields given on an import row to an existing member's profile
+const updateImportedUser = async (uid, row) => {
+  const userRef = db.collection('users').doc(uid)
+  const current = (await userRef.get()).data() || {}
+  const firstName = row.firstName ?? current.firstName ?? ''
+  const lastName = row.lastName ?? current.lastName ?? ''
+
+  const updates = { uid, email: current.email || row.email, updatedAt: admin.firestore.Timestamp.now() }
+  if (row.firstName) updates.firstName = row.firstName
+  if (row.lastName) updates.lastName = row.lastName
+  if (row.firstName || row.lastName) updates.displayName = `${firstName} ${lastName}`.trim()
+  if (row.accountType) updates.accountType = row.accountType
+  await userRef.set(updates, { merge: true })
+  await emitProfileChangeEvents(uid, current, updates)
+  if (row.tier && row.tier !== userTier(current)) {
+    await setTier(uid, row.tier, { source: 'import' })
+  }
+  // Status changes also lock or unlock the Auth user
+  if (row.accountStatus && row.accountStatus !== (current.accountStatus || 'Active')) {
+    await setAccountStatus(uid, row.accountStatus, { source: 'import' })
+  }
+}
+
+// Validate, look up and (unless dryRun) create or update every row. Returns
+// one result per input row, in order, with the action taken or planned.
+const importUsers = async (rows, { policy, dryRun, createdBy, sendWelcome }) => {
+  const seen = new Set()
+  const prepared = rows.map((row, index) => {
+    const result = { row: index + 1, email: typeof row?.email === 'string' ? row.email.trim() : null }
+    try {
+      result.data = normalizeImportRow(row)
+    } catch (err) {
+      return { ...result, action: 'error', error: err.message }
+    }
+    const key = result.data.email.toLowerCase()
+    if (seen.has(key)) return { ...result, action: 'error', error: 'Duplicate email in import' }
+    seen.add(key)
+    return result
+  })
+
+  return mapWithConcurrency(prepared, IMPORT_CONCURRENCY, async ({ data, ...result }) => {
+    if (result.action === 'error') return result
+    try {
+      const existing = await findAuthUserByEmail(data.email)
+      if (existing) {
+        result.uid = existing.uid
+        if (policy === 'error') return { ...result, action: 'error', error: 'User already exists with this email' }
+        if (policy === 'skip') return { ...result, action: 'skip' }
+        if (!dryRun) await updateImportedUser(existing.uid, data)
+        return { ...result, action: 'update' }
+      }
+
+      if (dryRun) return { ...result, action: 'create' }
+      const created = await provisionUser({
+        ...data,
+        accountType: data.accountType || 'Admin-Created',
+        creationEndpoint: 'bulk_import',
+        createdBy,
+        sendWelcome
+      })
+      return { ...result, action: 'create', uid: created.uid, welcomeEmail: created.welcomeEmail }
+    } catch (err) {
+      console.error(`Error importing row ${result.row}:`, err)
+      return { ...result, action: 'error', error: err?.message || 'Failed to import user' }
+    }
+  })
+}
+
+// Bulk-create members from CSV or JSON rows
+app.post('/api/users/import', authorize('users:manage'), express.text({ type: 'text/csv', limit: '10mb' }), audit('user.import'), async (req, res) => {
+  try {
+    const body = typeof req.body === 'object' && req.body !== null ? req.body : {}
+    const policy = body.onExisting ?? req.query.onExisting ?? 'skip'
+    const dryRun = [true, 'true', '1'].includes(body.dryRun ?? req.query.dryRun)
+    const sendWelcome = ![false, 'false', '0'].includes(body.sendWelcome ?? req.query.sendWelcome)
+
+    if (!IMPORT_EXISTING_POLICIES.includes(policy)) {
+      return res.status(400).json({ success: false, error: `onExisting must be one of: ${IMPORT_EXISTING_POLICIES.join(', ')}` })
+    }
+
+    let rows
+    try {
+      if (typeof req.body === 'string') rows = csvToImportRows(req.body)
+      else if (typeof body.csv === 'string') rows = csvToImportRows(body.csv)
+      else rows = body.rows
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ success: false, error: 'Provide a non-empty rows array, a csv string or a text/csv body' })
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ success: false, error: `At most ${IMPORT_MAX_ROWS} rows can be imported at once` })
+    }
+
+    const results = await importUsers(rows, { policy, dryRun, createdBy: req.adminDisplayName || 'Admin', sendWelcome })
+    const summary = { total: results.length, create: 0, update: 0, skip: 0, error: 0 }
+    for (const result of results) summary[result.action]++
+
+    console.log('User import finished:', { dryRun, policy, ...summary })
+    auditDetails(req, { metadata: { dryRun, onExisting: policy, sendWelcome, summary } })
+    res.json({ success: true, dryRun, onExisting: policy, summary, results })
+  } catch (error) {
+    console.error('Error importing users:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// User listing
+//
+// Only PUBLIC_USER_FIELDS ever leave the backend; secrets stored on
+// `users/{uid}` such as `tempPassword` and `fcmToken` are never returned.
+// ---------------------------------------------------------------------------
+
+const PUBLIC_USER_FIELDS = [
+  'uid',
+  'email',
+  'firstName',
+  'lastName',
+  'displayName',
+  'userType',
+  'accountType',
+  'accountStatus',
+  'tier',
+  'is_triple_hugger',
+  'creationEndpoint',
+  'createdBy',
+  'timezone',
+  'locale',
+  'createdAt',
+  'updatedAt'
+]
+const USER_LIST_FILTERS = ['userType', 'accountType', 'accountStatus', 'tier', 'is_triple_hugger']
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt']
+const USER_LIST_PARAMS = {
+  userType: ROLES,
+  accountType: ACCOUNT_TYPES,
+  accountStatus: ACCOUNT_STATUSES,
+  tier: TIER_NAMES,
+  is_triple_hugger: ['Yes', 'No'],
+  email: null,
+  sortBy: USER_SORT_FIELDS,
+  order: ['asc', 'desc']
+}
+
+// Copy allow-listed profile fields, converting Firestore timestamps to Dates
+const sanitizeUser = (doc, fields = PUBLIC_USER_FIELDS) => {
+  const data = doc.data() || {}
+  const user = { id: doc.id }
+  for (const field of fields) {
+    const value = data[field]
+    if (value === undefined) continue
+    user[field] = value?.toDate ? value.toDate() : value
+  }
+  return user
+}
+
+// Build the filtered users query shared by the user list and export.
+// Throws on invalid parameters. Equality filters combined with sorting need
+// the composite indexes in firestore.indexes.json; email search is a
+// case-sensitive prefix match ordered by email.
+const buildUserListQuery = (params = {}) => {
+  const { email, sortBy, order = 'desc', ...filters } = parseQueryParams(params, USER_LIST_PARAMS)
+  let query = db.collection('users')
+  for (const field of USER_LIST_FILTERS) {
+    if (filters[field]) query = query.where(field, '==', filters[field])
+  }
+
+  if (email) {
+    if (sortBy) throw new Error('sortBy cannot be combined with email search')
+    query = query
+      .where('email', '>=', email)
+      .where('email', '<', `${email}\uf8ff`)
+      .orderBy('email', 'asc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'asc')
+  } else if (sortBy) {
+    query = query.orderBy(sortBy, order).orderBy(admin.firestore.FieldPath.documentId(), order)
+  } else {
+    query = query.orderBy(admin.firestore.FieldPath.documentId(), 'asc')
+  }
+  return query
+}
+
+// Get users endpoint: cursor-paginated, filterable, sanitized
+app.get('/api/users', authorize('users:read'), async (req, res) => {
+  try {
+    const limit = parseLimitQuery(req.query.limit)
+
+    let query
+    try {
+      parseQueryParams(req.query, { limit: null, cursor: null })
+      query = buildUserListQuery(req.query)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    const countSnapshot = await query.count().get()
+
+    let pageQuery = query.select(...PUBLIC_USER_FIELDS).limit(limit)
+    if (req.query.cursor) {
+      const cursorDoc = await db.collection('users').doc(req.query.cursor).get()
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' })
+      }
+      pageQuery = pageQuery.startAfter(cursorDoc)
+    }
+
+    const snapshot = await pageQuery.get()
+    const users = snapshot.docs.map(doc => sanitizeUser(doc))
+
+    res.json({
+      success: true,
+      users,
+      total: countSnapshot.data().count,
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    })
+  } catch (error) {
+    console.error('Error getting users:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// User export
+// ---------------------------------------------------------------------------
+
+const USER_EXPORT_FORMATS = ['csv', 'ndjson']
+const USER_EXPORT_COLUMNS = ['id', ...PUBLIC_USER_FIELDS]
+
+// Render one CSV cell, quoting when needed. Values that spreadsheets would
+// evaluate as formulas are prefixed with a single quote.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return ''
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Pick the requested columns from a sanitized user, dates as ISO strings
+const exportRecord = (user, columns) => {
+  const record = {}
+  for (const column of columns) {
+    const value = user[column]
+    record[column] = value instanceof Date ? value.toISOString() : (value ?? null)
+  }
+  return record
+}
+
+// Write a chunk, waiting for the socket to drain when its buffer is full
+// Write with backpressure. Also settles when the client goes away, since
+// 'drain' never comes then; callers check res.destroyed to stop.
+const writeChunk = (res, chunkText) => {
+  if (res.write(chunkText)) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off('drain', settle)
+      res.off('close', settle)
+      res.off('error', settle)
+      if (error) reject(error)
+      else resolve()
+    }
+    res.on('drain', settle)
+    res.on('close', settle)
+    res.on('error', settle)
+  })
+}
+
+// Stream users as CSV or NDJSON. Accepts the same filters as GET /api/users.
+app.get('/api/users/export', authorize('users:read'), async (req, res) => {
+  let params
+  try {
+    params = parseQueryParams(req.query, { format: USER_EXPORT_FORMATS, columns: null })
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message })
+  }
+  const format = params.format || 'csv'
+
+  const columns = params.columns
+    ? [...new Set(params.columns.split(',').map(column => column.trim()).filter(Boolean))]
+    : USER_EXPORT_COLUMNS
+  const unknown = columns.filter(column => !USER_EXPORT_COLUMNS.includes(column))
+  if (columns.length === 0 || unknown.length) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown columns: ${unknown.join(', ') || '(none given)'}. Allowed: ${USER_EXPORT_COLUMNS.join(', ')}`
+    })
+  }
+
+  let query
+  try {
+    query = buildUserListQuery(req.query)
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message })
+  }
+
+  const fields = columns.filter(column => column !== 'id')
+  const pageQuery = fields.length ? query.select(...fields) : query.select()
+  let exported = 0
+  try {
+    let lastDoc = null
+    while (!res.destroyed) {
+      let page = pageQuery.limit(USER_PAGE_SIZE)
+      if (lastDoc) page = page.startAfter(lastDoc)
+      const snapshot = await page.get()
+
+      // Headers go out with the first chunk, so a failing first query still gets a JSON error
+      if (!res.headersSent) {
+        const stamp = new Date().toISOString().slice(0, 10)
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8')
+        res.setHeader('Content-Disposition', `attachment; filename="users-${stamp}.${format}"`)
+        res.setHeader('Cache-Control', 'no-store')
+        if (format === 'csv') await writeChunk(res, `${columns.map(csvCell).join(',')}\r\n`)
+      }
+      if (snapshot.empty) break
+
+      const lines = snapshot.docs.map(doc => {
+        const record = exportRecord(sanitizeUser(doc, fields), columns)
+        return format === 'csv'
+          ? `${columns.map(column => csvCell(record[column])).join(',')}\r\n`
+          : `${JSON.stringify(record)}\n`
+      })
+      await writeChunk(res, lines.join(''))
+      exported += snapshot.size
+
+      if (snapshot.size < USER_PAGE_SIZE) break
+      lastDoc = snapshot.docs[snapshot.size - 1]
+    }
+
+    if (res.destroyed) {
+      console.log('User export aborted, client disconnected:', { format, exported })
+      return
+    }
+    console.log('User export finished:', { format, exported })
+    res.end()
+  } catch (error) {
+    console.error('Error exporting users:', error)
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+    }
+    // Part of the file is already sent; cut the stream so the client sees an incomplete download
+    res.destroy(error)
+  }
+})
+
+// GHL: Create new user via API key (no Firebase token required)
+app.post('/api/ghl/create-user', authenticateApiKey('users:create'), idempotent, audit('user.create'), async (req, res) => {
+  try {
+    console.log('GHL create user request received')
+    const { email, firstName = '', lastName = '', tempPassword } = req.body || {}
+
+    // Validate email format
+    if (!email || typeof email !== 'string') {
+      console.log('Invalid email provided')
+      return res.status(400).json({ success: false, error: 'Valid email is required' })
+    }
+    if (!EMAIL_REGEX.test(email)) {
+      console.log('Invalid email format')
+      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    }
+
+    if (await findErasure(email)) {
+      return res.status(410).json({ success: false, error: 'This account was erased at the member\'s request', erased: true })
+    }
+
+    // Check duplicates
+    console.log('Looking up user by email')
+    const existing = await findAuthUserByEmail(email)
+    if (existing && !await isUnfinishedProvisioning(existing)) {
+      console.log('User already exists:', existing.uid)
+      return res.status(409).json({ success: false, error: 'User already exists with this email', uid: existing.uid })
+    }
+
+    const { uid, profile, welcomeEmail } = await provisionUser({
+      email,
+      firstName,
+      lastName,
+      tempPassword,
+      accountType: 'Premium',
+      creationEndpoint: 'ghl_create_user',
+      createdBy: 'GHL',
+      authUser: existing
+    })
+    auditDetails(req, {
+      targetUid: uid,
+      after: profile,
+      metadata: existing ? { finishedHalfProvisionedUser: true } : undefined
+    })
+
+    const response = { success: true, email, uid, welcomeEmail }
+    console.log('GHL create-user response:', { uid, welcomeEmail })
+    res.json(response)
+  } catch (error) {
+    console.error('Error creating user (GHL):', error)
+    res.status(500).json({ success: false, error: error?.message || 'Failed to create user', code: error?.code || undefined })
+  }
+})
+
+// GHL: Create trial user via API key (accountType: "Trial")
+app.post('/api/ghl/create-trial-user', authenticateApiKey('users:create'), idempotent, audit('user.create_trial'), async (req, res) => {
+  try {
+    console.log('GHL create trial user request received')
+    const { email, firstName = '', lastName = '', tempPassword, trialDays, trialEndsAt } = req.body || {}
+
+    // Validate email format
+    if (!email || typeof email !== 'string') {
+      console.log('Invalid email provided')
+      return res.status(400).json({ success: false, error: 'Valid email is required' })
+    }
+    if (!EMAIL_REGEX.test(email)) {
+      console.log('Invalid email format')
+      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    }
+
+    let trialEnd
+    try {
+      trialEnd = resolveTrialEndsAt({ trialDays, trialEndsAt })
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    if (await findErasure(email)) {
+      return res.status(410).json({ success: false, error: 'This account was erased at the member\'s request', erased: true })
+    }
+
+    // Check duplicates
+    console.log('Looking up user by email')
+    const existing = await findAuthUserByEmail(email)
+    if (existing && !await isUnfinishedProvisioning(existing)) {
+      console.log('User already exists:', existing.uid)
+      return res.status(409).json({ success: false, error: 'User already exists with this email', uid: existing.uid })
+    }
+
+    const { uid, profile, welcomeEmail } = await provisionUser({
+      email,
+      firstName,
+      lastName,
+      tempPassword,
+      accountType: 'Trial',
+      creationEndpoint: 'ghl_create_trial_user',
+      createdBy: 'GHL',
+      trialEndsAt: trialEnd,
+      authUser: existing
+    })
+    auditDetails(req, {
+      targetUid: uid,
+      after: profile,
+      metadata: existing ? { finishedHalfProvisionedUser: true } : undefined
+    })
+
+    const response = { success: true, email, uid, welcomeEmail, trialEndsAt: trialEnd.toISOString() }
+    console.log('GHL create-trial-user response:', { uid, welcomeEmail, trialEndsAt: response.trialEndsAt })
+    res.json(response)
+  } catch (error) {
+    console.error('Error creating trial user (GHL):', error)
+    res.status(500).json({ success: false, error: error?.message || 'Failed to create trial user', code: error?.code || undefined })
+  }
+})
+
+// Make user inactive
+app.post('/api/make-inactive', authorize('users:manage'), audit('user.make_inactive'), async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+
+    let statusChange
+    try {
+      statusChange = parseStatusChangeInput(req.body)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    let targetUid = uid
+    if (!targetUid && email) {
+      try {
+        const userRecord = await admin.auth().getUserByEmail(email)
+        targetUid = userRecord.uid
+      } catch (err) {
+        if (err && err.code === 'auth/user-not-found') {
+          return res.status(404).json({ success: false, error: 'User not found for provided email' })
+        }
+        throw err
+      }
+    }
+
+    auditDetails(req, {
+      targetUid,
+      ...(await setAccountStatus(targetUid, 'Inactive', { ...statusChange, changedBy: auditActor(req), source: 'admin' }))
+    })
+
+    res.json({ success: true, uid: targetUid, accountStatus: 'inactive', reactivateAt: statusChange.reactivateAt })
+  } catch (error) {
+    console.error('Error making user inactive (admin):', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Make user inactive (GHL via API key)
+app.post('/api/ghl/make-inactive', authenticateApiKey('users:status'), idempotent, audit('user.make_inactive'), async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+
+    let statusChange
+    try {
+      statusChange = parseStatusChangeInput(req.body)
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    let targetUid = uid
+    if (!targetUid && email) {
+      try {
+        const userRecord = await admin.auth().getUserByEmail(email)
+        targetUid = userRecord.uid
+      } catch (err) {
+        if (err && err.code === 'auth/user-not-found') {
+          return res.status(404).json({ success: false, error: 'User not found for provided email' })
+        }
+        throw err
+      }
+    }
+
+    auditDetails(req, {
+      targetUid,
+      ...(await setAccountStatus(targetUid, 'Inactive', { ...statusChange, changedBy: auditActor(req), source: 'ghl' }))
+    })
+
+    res.json({ success: true, uid: targetUid, accountStatus: 'inactive', reactivateAt: statusChange.reactivateAt })
+  } catch (error) {
+    console.error('Error making user inactive (GHL):', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Make user active
+app.post('/api/make-active', authorize('users:manage'), audit('user.make_active'), async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+
+    let reason
+    try {
+      ({ reason } = parseStatusChangeInput({ reason: req.body.reason }))
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    let targetUid = uid
+    if (!targetUid && email) {
+      try {
+        const userRecord = await admin.auth().getUserByEmail(email)
+        targetUid = userRecord.uid
+      } catch (err) {
+        if (err && err.code === 'auth/user-not-found') {
+          return res.status(404).json({ success: false, error: 'User not found for provided email' })
+        }
+        throw err
+      }
+    }
+
+    auditDetails(req, { targetUid, ...(await setAccountStatus(targetUid, 'Active', { reason, changedBy: auditActor(req), source: 'admin' })) })
+
+    res.json({ success: true, uid: targetUid, accountStatus: 'Active' })
+  } catch (error) {
+    console.error('Error making user active (admin):', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Make user active (GHL via API key)
+app.post('/api/ghl/make-active', authenticateApiKey('users:status'), idempotent, audit('user.make_active'), async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+
+    let reason
+    try {
+      ({ reason } = parseStatusChangeInput({ reason: req.body.reason }))
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    let targetUid = uid
+    if (!targetUid && email) {
+      try {
+        const userRecord = await admin.auth().getUserByEmail(email)
+        targetUid = userRecord.uid
+      } catch (err) {
+        if (err && err.code === 'auth/user-not-found') {
+          return res.status(404).json({ success: false, error: 'User not found for provided email' })
+        }
+        throw err
+      }
+    }
+
+    auditDetails(req, { targetUid, ...(await setAccountStatus(targetUid, 'Active', { reason, changedBy: auditActor(req), source: 'ghl' })) })
+
+    res.json({ success: true, uid: targetUid, accountStatus: 'Active' })
+  } catch (error) {
+    console.error('Error making user active (GHL):', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Reactivate members whose reactivateAt has passed (cron)
+const reactivateUsersHandler = async (req, res) => {
+  try {
+    const snapshot = await db.collection('users')
+      .where('reactivateAt', '<=', admin.firestore.Timestamp.now())
+      .get()
+
+    const reactivated = []
+    for (const doc of snapshot.docs.filter(userDoc => userDoc.data().accountStatus === 'Inactive')) {
+      await setAccountStatus(doc.id, 'Active', { reason: 'Scheduled reactivation', source: 'scheduled_reactivation' })
+      reactivated.push(doc.id)
+    }
+
+    console.log('Reactivated users:', reactivated.length)
+    res.json({ success: true, reactivated: reactivated.length, uids: reactivated })
+  } catch (error) {
+    console.error('Error reactivating users:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+app.get('/api/cron/reactivate-users', authenticateCron, reactivateUsersHandler)
+app.post('/api/cron/reactivate-users', authenticateCron, reactivateUsersHandler)
+
+// A member's status changes, newest first
+app.get('/api/users/:uid/status-history', authorize('users:read'), async (req, res) => {
+  try {
+    const limit = parseLimitQuery(req.query.limit)
+    const snapshot = await db.collection('users').doc(req.params.uid).collection('statusHistory')
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get()
+
+    const history = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      reactivateAt: doc.data().reactivateAt?.toDate?.() || null,
+      createdAt: doc.data().createdAt?.toDate?.() || null
+    }))
+
+    res.json({ success: true, uid: req.params.uid, history })
+  } catch (error) {
+    console.error('Error getting status history:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// A member's tier changes, newest first
+app.get('/api/users/:uid/tier-history', authorize('users:read'), async (req, res) => {
+  try {
+    const limit = parseLimitQuery(req.query.limit)
+    const snapshot = await db.collection('users').doc(req.params.uid).collection('tierHistory')
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get()
+
+    const history = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt?.toDate?.() || null
+    }))
+
+    res.json({ success: true, uid: req.params.uid, history })
+  } catch (error) {
+    console.error('Error getting tier history:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Set a member's tier. Body: uid or email, tier, optional reason. The
+// make-*-hugger routes pass a fixed tier instead of reading it from the body.
+const setTierHandler = (source, fixedTier) => async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+    const tier = fixedTier || req.body?.tier
+
+    if (!TIERS[tier]) {
+      return res.status(400).json({ success: false, error: `tier must be one of: ${TIER_NAMES.join(', ')}` })
+    }
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+    if (!uid && (typeof email !== 'string' || !EMAIL_REGEX.test(email))) {
+      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    }
+
+    let reason
+    try {
+      ({ reason } = parseStatusChangeInput({ reason: req.body.reason }))
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    let targetUid = uid
+    if (!targetUid) {
+      const userRecord = await findAuthUserByEmail(email)
+      if (!userRecord) {
+        return res.status(404).json({ success: false, error: 'User not found for provided email' })
+      }
+      targetUid = userRecord.uid
+    }
+    const userDoc = await db.collection('users').doc(targetUid).get()
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+
+    const change = await setTier(targetUid, tier, { reason, changedBy: auditActor(req), source })
+    auditDetails(req, { targetUid, ...change })
+
+    res.json({
+      success: true,
+      uid: targetUid,
+      email: userDoc.data().email || email || null,
+      tier,
+      previousTier: userTier(userDoc.data()),
+      entitlements: tierEntitlements(tier),
+      is_triple_hugger: tripleHuggerFlag(tier),
+      message: `Tier set to ${tier}`
+    })
+  } catch (error) {
+    console.error('Error setting tier:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+// Set a member's tier
+app.post('/api/set-tier', authorize('users:manage'), audit('user.set_tier'), setTierHandler('admin'))
+
+// GHL: Set a member's tier (API key auth)
+app.post('/api/ghl/set-tier', authenticateApiKey('users:status'), idempotent, audit('user.set_tier'), setTierHandler('ghl'))
+
+// Routes from before tiers, kept for existing GHL workflows and admin tools
+app.post('/api/make-triple-hugger', authorize('users:manage'), audit('user.make_triple_hugger'), setTierHandler('admin', 'triple'))
+app.post('/api/ghl/make-triple-hugger', authenticateApiKey('users:status'), idempotent, audit('user.make_triple_hugger'), setTierHandler('ghl', 'triple'))
+app.post('/api/make-double-hugger', authorize('users:manage'), audit('user.make_double_hugger'), setTierHandler('admin', 'double'))
+app.post('/api/ghl/make-double-hugger', authenticateApiKey('users:status'), idempotent, audit('user.make_double_hugger'), setTierHandler('ghl', 'double'))
+
+// Every tier with its entitlements
+app.get('/api/tiers', authenticateUser, (req, res) => {
+  res.json({
+    success: true,
+    defaultTier: DEFAULT_TIER,
+    tiers: TIER_NAMES.map(name => ({ name, entitlements: tierEntitlements(name) }))
+  })
+})
+
+// Write `tier` on profiles that only have the is_triple_hugger flag (or no
+// tier at all). Tier changes are not recorded, since nobody's tier changes.
+app.post('/api/tiers/backfill', authorize('users:manage'), audit('tier.backfill'), async (req, res) => {
+  try {
+    const dryRun = !!req.body?.dryRun
+    const snapshot = await db.collection('users').get()
+    const updates = snapshot.docs
+      .filter(doc => !TIERS[doc.data().tier])
+      .map(doc => ({ ref: doc.ref, tier: userTier(doc.data()) }))
+
+    if (!dryRun) {
+      await writeInBatches(updates, (batch, { ref, tier }) => batch.update(ref, {
+        tier,
+        is_triple_hugger: tripleHuggerFlag(tier)
+      }))
+    }
+
+    const counts = Object.fromEntries(TIER_NAMES.map(name => [name, updates.filter(({ tier }) => tier === name).length]))
+    auditDetails(req, { metadata: { dryRun, updated: updates.length, counts } })
+    res.json({
+      success: true,
+      dryRun,
+      updated: updates.length,
+      counts,
+      users: updates.map(({ ref, tier }) => ({ uid: ref.id, tier }))
+    })
+  } catch (error) {
+    console.error('Error backfilling tiers:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Trials
+//
+// Trial members get `trialStatus: 'active'` and a `trialEndsAt` when they are
+// provisioned. GET /api/cron/process-trials sends reminder pushes
+// TRIAL_REMINDER_DAYS before the end and makes expired trials Inactive;
+// converting moves the member to Premium.
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const TRIAL_LENGTH_DAYS = parseInt(process.env.TRIAL_LENGTH_DAYS, 10) || 7
+const TRIAL_REMINDER_DAYS = (process.env.TRIAL_REMINDER_DAYS || '3,1')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(days => days > 0)
+const TRIAL_MAX_DAYS = 365
+const TRIAL_PAGE_SIZE = 500
+
+// Work out a trial's end from GHL input ({ trialDays } or { trialEndsAt }),
+// defaulting to TRIAL_LENGTH_DAYS. Throws on invalid input.
+const resolveTrialEndsAt = ({ trialDays, trialEndsAt } = {}, now = new Date()) => {
+  if (trialDays !== undefined && trialEndsAt !== undefined) {
+    throw new Error('Provide trialDays or trialEndsAt, not both')
+  }
+  if (trialEndsAt !== undefined) {
+    const endsAt = parseDateQuery(trialEndsAt)
+    if (!endsAt || endsAt <= now) throw new Error('trialEndsAt must be a future date')
+    if (endsAt - now > TRIAL_MAX_DAYS * DAY_MS) throw new Error(`Trials can last at most ${TRIAL_MAX_DAYS} days`)
+    return endsAt
+  }
+  const days = trialDays === undefined ? TRIAL_LENGTH_DAYS : Number(trialDays)
+  if (!Number.isInteger(days) || days < 1 || days > TRIAL_MAX_DAYS) {
+    throw new Error(`trialDays must be a whole number between 1 and ${TRIAL_MAX_DAYS}`)
+  }
+  return new Date(now.getTime() + days * DAY_MS)
+}
+
+// Fields written on a new trial member's profile
+const trialProfileFields = (trialEndsAt) => ({
+  trialStatus: 'active',
+  trialStartedAt: admin.firestore.Timestamp.now(),
+  trialEndsAt: admin.firestore.Timestamp.fromDate(trialEndsAt),
+  trialRemindersSent: []
+})
+
+// Trial counts for the stats endpoint. Conversion rate is converted / (converted + expired),
+// i.e. over trials that have ended, or null before any has.
+const trialStats = async (now = Date.now()) => {
+  const soon = now + Math.max(1, ...TRIAL_REMINDER_DAYS) * DAY_MS
+  const trials = db.collection('users')
+  const [active, expiringSoon, converted, expired] = await Promise.all([
+    countOf(trials.where('trialStatus', '==', 'active')),
+    countOf(trials.where('trialStatus', '==', 'active').where('trialEndsAt', '<=', admin.firestore.Timestamp.fromMillis(soon))),
+    countOf(trials.where('trialStatus', '==', 'converted')),
+    countOf(trials.where('trialStatus', '==', 'expired'))
+  ])
+  return {
+    active,
+    expiringSoon,
+    converted,
+    expired,
+    conversionRate: converted + expired > 0 ? Math.round((converted / (converted + expired)) * 1000) / 1000 : null
+  }
+}
+
+const trialReminderContent = (days) => ({
+  title: 'Your trial is ending soon',
+  body: `Your My Daily Hug trial ends ${days === 1 ? 'tomorrow' : `in ${days} days`}. Upgrade to keep your daily hugs coming.`,
+  data: { type: 'trial_reminder', daysLeft: String(days) }
+})
+
+// End trials whose trialEndsAt has passed: make the member Inactive, then mark
+// the trial expired. If deactivating fails the trial stays active and the next
+// run tries again; a member already Inactive is only marked.
+const expireTrials = async (now) => {
+  let expired = 0
+  while (true) {
+    const snapshot = await db.collection('users')
+      .where('trialStatus', '==', 'active')
+      .where('trialEndsAt', '<=', admin.firestore.Timestamp.fromDate(now))
+      .limit(TRIAL_PAGE_SIZE)
+      .get()
+    if (snapshot.empty) return expired
+
+    for (const doc of snapshot.docs) {
+      if (doc.data().accountStatus !== 'Inactive') {
+        await setAccountStatus(doc.id, 'Inactive', { reason: 'Trial ended', source: 'trial_expiry' })
+      }
+      await doc.ref.update({ trialStatus: 'expired', trialExpiredAt: admin.firestore.Timestamp.fromDate(now) })
+      expired++
+    }
+    console.log('Expired trials:', expired)
+  }
+}
+
+// Mark a reminder group's thresholds as sent for the members it reached, and
+// for those who turned account notifications off (another try would not reach
+// them either). Members skipped for quiet hours or without a device, and sends
+// that failed, are tried again on the next run.
+const recordTrialRemindersSent = async (notificationRef, dueByUid) => {
+  const recipients = notificationRef.collection('recipients')
+  const [delivered, declined] = await Promise.all([
+    recipients.where('status', '==', 'delivered').get(),
+    recipients.where('reason', 'in', ['unsubscribed', 'category']).get()
+  ])
+  const uids = [...delivered.docs, ...declined.docs].map(doc => doc.id).filter(uid => dueByUid.has(uid))
+  await writeInBatches(uids, (batch, uid) => batch.update(db.collection('users').doc(uid), {
+    trialRemindersSent: admin.firestore.FieldValue.arrayUnion(...dueByUid.get(uid))
+  }))
+  return uids.length
+}
+
+// Send the reminders that have come due. A member who is due several at once
+// (e.g. the job did not run for a while) only gets the most urgent one; the
+// ones folded into it are recorded along with it.
+const sendTrialReminders = async (now) => {
+  if (TRIAL_REMINDER_DAYS.length === 0) return []
+  const horizon = new Date(now.getTime() + Math.max(...TRIAL_REMINDER_DAYS) * DAY_MS)
+  const uidsByDays = new Map()
+  const dueByUid = new Map()
+
+  let query = db.collection('users')
+    .where('trialStatus', '==', 'active')
+    .where('trialEndsAt', '>', admin.firestore.Timestamp.fromDate(now))
+    .where('trialEndsAt', '<=', admin.firestore.Timestamp.fromDate(horizon))
+    .orderBy('trialEndsAt')
+    .limit(TRIAL_PAGE_SIZE)
+  while (true) {
+    const snapshot = await query.get()
+    for (const doc of snapshot.docs) {
+      const { trialEndsAt, trialRemindersSent = [] } = doc.data()
+      const daysLeft = (trialEndsAt.toMillis() - now.getTime()) / DAY_MS
+      const due = TRIAL_REMINDER_DAYS.filter(days => daysLeft <= days && !trialRemindersSent.includes(days))
+      if (due.length === 0) continue
+
+      const days = Math.min(...due)
+      if (!uidsByDays.has(days)) uidsByDays.set(days, [])
+      uidsByDays.get(days).push(doc.id)
+      dueByUid.set(doc.id, due)
+    }
+    if (snapshot.size < TRIAL_PAGE_SIZE) break
+    query = query.startAfter(snapshot.docs[snapshot.size - 1])
+  }
+
+  const sends = []
+  for (const [days, uids] of uidsByDays) {
+    const content = trialReminderContent(days)
+    const criteria = normalizeAudienceInput({ targetUsers: uids })
+    const notificationRef = await createNotificationRecord({
+      ...content,
+      target: criteria,
+      source: 'trial_reminder',
+      category: 'account'
+    })
+    let stats = emptySendStats()
+    let sendError = null
+    try {
+      stats = await sendToAudience(criteria, buildNotificationMessage(content), { category: 'account', notificationRef })
+    } catch (error) {
+      sendError = error
+    }
+    await completeNotificationRecord(notificationRef, stats, sendError)
+    // Recorded straight away, so a later group failing does not resend this one
+    const recorded = await recordTrialRemindersSent(notificationRef, dueByUid)
+    if (sendError) throw sendError
+    sends.push({ days, users: uids.length, reminded: recorded, notificationId: notificationRef.id, stats })
+  }
+  return sends
+}
+
+// Send trial reminders and expire ended trials (cron)
+const processTrialsHandler = async (req, res) => {
+  try {
+    const now = new Date()
+    const reminders = await sendTrialReminders(now)
+    const expired = await expireTrials(now)
+
+    console.log('Processed trials:', { reminders: reminders.length, expired })
+    res.json({ success: true, reminders, expired })
+  } catch (error) {
+    console.error('Error processing trials:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+app.get('/api/cron/process-trials', authenticateCron, processTrialsHandler)
+app.post('/api/cron/process-trials', authenticateCron, processTrialsHandler)
+
+// Upgrade a trial member to Premium, reactivating them if the trial had expired
+const convertTrialHandler = (convertedBy) => async (req, res) => {
+  try {
+    const { uid, email } = req.body || {}
+
+    if (!uid && !email) {
+      return res.status(400).json({ success: false, error: 'uid or email is required' })
+    }
+
+    let targetUid = uid
+    if (!targetUid) {
+      const userRecord = await findAuthUserByEmail(email)
+      if (!userRecord) {
+        return res.status(404).json({ success: false, error: 'User not found for provided email' })
+      }
+      targetUid = userRecord.uid
+    }
+
+    const userRef = db.collection('users').doc(targetUid)
+    const before = (await userRef.get()).data()
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+    if (before.accountType !== 'Trial') {
+      return res.status(409).json({ success: false, error: 'User is not on a trial', accountType: before.accountType || null })
+    }
+
+    const after = {
+      accountType: 'Premium',
+      trialStatus: 'converted',
+      trialConvertedAt: admin.firestore.Timestamp.now(),
+      trialConvertedBy: convertedBy(req),
+      updatedAt: admin.firestore.Timestamp.now()
+    }
+    await userRef.update(after)
+    // Expired trials were deactivated; this re-enables sign-in as well
+    if (before.accountStatus !== 'Active') {
+      await setAccountStatus(targetUid, 'Active', { reason: 'Trial converted', changedBy: auditActor(req), source: 'trial_conversion' })
+    }
+    auditDetails(req, { targetUid, before: auditUserFields(before), after: auditUserFields({ ...before, ...after, accountStatus: 'Active' }) })
+
+    await emitProfileChangeEvents(targetUid, before, after)
+    await emitEvent('user.trial_converted', {
+      uid: targetUid,
+      email: before.email || email || null,
+      previousTrialStatus: before.trialStatus || null,
+      trialEndsAt: before.trialEndsAt?.toDate?.().toISOString() || null,
+      convertedBy: after.trialConvertedBy
+    })
+
+    res.json({ success: true, uid: targetUid, accountType: 'Premium', accountStatus: 'Active', trialStatus: 'converted' })
+  } catch (error) {
+    console.error('Error converting trial:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+}
+
+// Convert a trial to Premium
+app.post('/api/convert-trial', authorize('users:manage'), audit('user.convert_trial'), convertTrialHandler(req => req.adminDisplayName || 'Admin'))
+
+// GHL: Convert a trial to Premium via API key
+app.post('/api/ghl/convert-trial', authenticateApiKey('users:status'), idempotent, audit('user.convert_trial'), convertTrialHandler(() => 'GHL'))
+
+// Give trials created before trial tracking a trialEndsAt. The end
+// is createdAt + TRIAL_LENGTH_DAYS, but never sooner than the first reminder
+// would go out, so nobody is expired without warning.
+app.post('/api/trials/backfill', authorize('users:manage'), audit('trial.backfill'), async (req, res) => {
+  try {
+    const dryRun = !!req.body?.dryRun
+    const now = Date.now()
+    const earliestEnd = now + Math.max(1, ...TRIAL_REMINDER_DAYS) * DAY_MS
+    const snapshot = await db.collection('users').where('accountType', '==', 'Trial').get()
+
+    const updates = snapshot.docs
+      .filter(doc => !doc.data().trialStatus)
+      .map(doc => {
+        const createdAt = doc.data().createdAt?.toMillis?.() || now
+        return { ref: doc.ref, trialEndsAt: new Date(Math.max(createdAt + TRIAL_LENGTH_DAYS * DAY_MS, earliestEnd)), createdAt }
+      })
+
+    if (!dryRun) {
+      for (const entries of chunk(updates, 500)) {
+        const batch = db.batch()
+        for (const { ref, trialEndsAt, createdAt } of entries) {
+          batch.update(ref, {
+            trialStatus: 'active',
+            trialStartedAt: admin.firestore.Timestamp.fromMillis(createdAt),
+            trialEndsAt: admin.firestore.Timestamp.fromDate(trialEndsAt),
+            trialRemindersSent: []
+          })
+        }
+        await batch.commit()
+      }
+    }
+
+    auditDetails(req, { metadata: { dryRun, updated: updates.length } })
+    res.json({
+      success: true,
+      dryRun,
+      updated: updates.length,
+      users: updates.map(({ ref, trialEndsAt }) => ({ uid: ref.id, trialEndsAt }))
+    })
+  } catch (error) {
+    console.error('Error backfilling trials:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// GHL native webhooks
+//
+// POST /api/ghl/webhook accepts GoHighLevel's own event payloads. Each payload
+// is turned into events (contact.created, contact.tag_added, ...) that are
+// matched against the rules in `ghlWebhookRules`; every delivery is logged in
+// `ghlWebhookEvents` together with the actions it triggered.
+// ---------------------------------------------------------------------------
+
+const GHL_CONTACT_TYPES = ['ContactCreate', 'ContactUpdate', 'ContactTagUpdate', 'ContactDelete']
+const GHL_OPPORTUNITY_TYPES = ['OpportunityCreate', 'OpportunityStatusUpdate']
+const GHL_WEBHOOK_EVENTS = [
+  'contact.created',
+  'contact.deleted',
+  'contact.tag_added',
+  'contact.tag_removed',
+  'opportunity.created',
+  'opportunity.status_changed'
+]
+const GHL_TAG_EVENTS = ['contact.tag_added', 'contact.tag_removed']
+const GHL_OPPORTUNITY_EVENTS = ['opportunity.created', 'opportunity.status_changed']
+const GHL_OPPORTUNITY_STATUSES = ['open', 'won', 'lost', 'abandoned']
+
+// Create a member for the contact unless one already exists
+const provisionGhlContact = async (contact, accountType) => {
+  if (await findErasure(contact.email)) return { status: 'skipped', reason: 'Account was erased' }
+  const existing = await findAuthUserByEmail(contact.email)
+  if (existing && !await isUnfinishedProvisioning(existing)) {
+    return { status: 'skipped', uid: existing.uid, reason: 'User already exists' }
+  }
+  const { uid } = await provisionUser({
+    email: contact.email,
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    accountType,
+    creationEndpoint: 'ghl_webhook',
+    createdBy: 'GHL',
+    authUser: existing
+  })
+  return { status: 'success', uid }
+}
+
+// Wrap an action that needs the contact's existing member account
+const forExistingUser = (action) => async (contact) => {
+  const userRecord = await findAuthUserByEmail(contact.email)
+  if (!userRecord) return { status: 'skipped', reason: 'User not found for contact email' }
+  await action(userRecord.uid)
+  return { status: 'success', uid: userRecord.uid }
+}
+
+// Actions a rule can trigger; the same effects as the matching /api/ghl/* routes
+const GHL_WEBHOOK_ACTIONS = {
+  create_user: (contact) => provisionGhlContact(contact, 'Premium'),
+  create_trial_user: (contact) => provisionGhlContact(contact, 'Trial'),
+  make_inactive: forExistingUser(uid => setAccountStatus(uid, 'Inactive', { source: 'ghl_webhook' })),
+  make_active: forExistingUser(uid => setAccountStatus(uid, 'Active', { source: 'ghl_webhook' })),
+  ...Object.fromEntries(TIER_NAMES.map(tier => [
+    `set_tier_${tier}`,
+    forExistingUser(uid => setTier(uid, tier, { source: 'ghl_webhook' }))
+  ])),
+  // Names from before tiers; same as set_tier_triple / set_tier_double
+  make_triple_hugger: forExistingUser(uid => setTier(uid, 'triple', { source: 'ghl_webhook' })),
+  make_double_hugger: forExistingUser(uid => setTier(uid, 'double', { source: 'ghl_webhook' }))
+}
+
+// Tags arrive as an array, but tolerate a comma-separated string
+const parseGhlTags = (tags) => (Array.isArray(tags) ? tags : String(tags || '').split(','))
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean)
+
+// Turn a native payload into events. Contact payloads refresh the cached copy
+// in `ghlContacts/{contactId}`, which is used to diff tags (GHL sends the full
+// tag list, not what changed) and to find the email for opportunity events.
+// The refresh is returned as `saveContact` rather than written here: the caller
+// runs it only once every triggered action succeeded, so a GHL retry of a failed
+// webhook sees the same tag changes again.
+const resolveGhlEvents = async (payload) => {
+  const { type } = payload
+
+  if (GHL_CONTACT_TYPES.includes(type)) {
+    const contactId = payload.id || payload.contactId || null
+    const contactRef = contactId ? db.collection('ghlContacts').doc(String(contactId)) : null
+    const cached = contactRef ? (await contactRef.get()).data() : null
+    const contact = {
+      contactId,
+      email: payload.email || cached?.email || null,
+      firstName: payload.firstName ?? cached?.firstName ?? '',
+      lastName: payload.lastName ?? cached?.lastName ?? ''
+    }
+
+    const events = []
+    if (type === 'ContactCreate') events.push({ type: 'contact.created' })
+    if (type === 'ContactDelete') {
+      events.push({ type: 'contact.deleted' })
+      return { contact, events, saveContact: contactRef ? () => contactRef.delete() : null }
+    }
+
+    const tags = payload.tags === undefined ? (cached?.tags || []) : parseGhlTags(payload.tags)
+    const previous = new Set(cached?.tags || [])
+    for (const tag of tags) {
+      if (!previous.has(tag)) events.push({ type: 'contact.tag_added', tag })
+    }
+    for (const tag of previous) {
+      if (!tags.includes(tag)) events.push({ type: 'contact.tag_removed', tag })
+    }
+
+    const saveContact = contactRef
+      ? () => contactRef.set({
+          email: contact.email,
+          firstName: contact.firstName,
+          lastName: contact.lastName,
+          tags,
+          locationId: payload.locationId || null,
+          updatedAt: admin.firestore.Timestamp.now()
+        }, { merge: true })
+      : null
+    return { contact, events, saveContact }
+  }
+
+  if (GHL_OPPORTUNITY_TYPES.includes(type)) {
+    const contactId = payload.contactId || null
+    const cached = contactId ? (await db.collection('ghlContacts').doc(String(contactId)).get()).data() : null
+    const contact = {
+      contactId,
+      email: payload.email || cached?.email || null,
+      firstName: cached?.firstName || '',
+      lastName: cached?.lastName || ''
+    }
+    const event = {
+      type: type === 'OpportunityCreate' ? 'opportunity.created' : 'opportunity.status_changed',
+      status: String(payload.status || '').toLowerCase() || null,
+      pipelineId: payload.pipelineId || null
+    }
+    return { contact, events: [event] }
+  }
+
+  return { contact: null, events: [] }
+}
+
+const ghlRuleMatches = (rule, event) => rule.event === event.type &&
+  (!rule.tag || rule.tag === event.tag) &&
+  (!rule.status || rule.status === event.status) &&
+  (!rule.pipelineId || rule.pipelineId === event.pipelineId)
+
+// Validate a webhook rule. Throws on invalid input.
+const normalizeGhlRuleInput = ({ name, event, tag, status, pipelineId, action, enabled = true } = {}) => {
+  if (!name || typeof name !== 'string') throw new Error('Rule name is required')
+  if (!GHL_WEBHOOK_EVENTS.includes(event)) {
+    throw new Error(`event must be one of: ${GHL_WEBHOOK_EVENTS.join(', ')}`)
+  }
+  if (!Object.keys(GHL_WEBHOOK_ACTIONS).includes(action)) {
+    throw new Error(`action must be one of: ${Object.keys(GHL_WEBHOOK_ACTIONS).join(', ')}`)
+  }
+
+  const rule = { name: name.trim(), event, action, enabled: !!enabled, tag: null, status: null, pipelineId: null }
+  if (GHL_TAG_EVENTS.includes(event)) {
+    if (!tag || typeof tag !== 'string') throw new Error('tag is required for tag events')
+    rule.tag = tag.trim().toLowerCase()
+  } else if (tag) {
+    throw new Error('tag only applies to tag events')
+  }
+  if (GHL_OPPORTUNITY_EVENTS.includes(event)) {
+    if (status) {
+      if (!GHL_OPPORTUNITY_STATUSES.includes(status)) {
+        throw new Error(`status must be one of: ${GHL_OPPORTUNITY_STATUSES.join(', ')}`)
+      }
+      rule.status = status
+    }
+    if (pipelineId) rule.pipelineId = String(pipelineId)
+  } else if (status || pipelineId) {
+    throw new Error('status and pipelineId only apply to opportunity events')
+  }
+  return rule
+}
+
+const serializeGhlRule = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  createdAt: doc.data().createdAt?.toDate?.() || null,
+  updatedAt: doc.data().updatedAt?.toDate?.() || null
+})
+
+const serializeGhlEvent = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  receivedAt: doc.data().receivedAt?.toDate?.() || null
+})
+
+// GHL signs native webhooks with its private key; the public key it publishes
+// is configured as GHL_WEBHOOK_PUBLIC_KEY (PEM, `\n` escapes allowed)
+const GHL_WEBHOOK_PUBLIC_KEY = (process.env.GHL_WEBHOOK_PUBLIC_KEY || '').replace(/\\n/g, '\n')
+// A delivery still "processing" after this long is assumed abandoned and may be retried
+const GHL_WEBHOOK_LOCK_MS = 60 * 1000
+
+// Native webhooks carry `x-wh-signature` (RSA-SHA256 over the raw body, base64)
+// and cannot send custom headers. Requests without it, e.g. from a workflow's
+// custom webhook action, authenticate with an API key instead.
+const authenticateGhlWebhook = (req, res, next) => {
+  const signature = req.header('x-wh-signature')
+  if (!signature) return authenticateApiKey('ghl:webhook')(req, res, next)
+
+  if (!GHL_WEBHOOK_PUBLIC_KEY) {
+    console.error('GHL_WEBHOOK_PUBLIC_KEY not configured')
+    return res.status(500).json({ success: false, error: 'Server configuration error' })
+  }
+  let valid = false
+  try {
+    valid = crypto.verify('sha256', req.rawBody || Buffer.alloc(0), GHL_WEBHOOK_PUBLIC_KEY, Buffer.from(signature, 'base64'))
+  } catch (error) {
+    console.error('Error verifying GHL webhook signature:', error)
+  }
+  if (!valid) {
+    return res.status(401).json({ success: false, error: 'Invalid webhook signature' })
+  }
+
+  req.webhookSender = 'ghl'
+  next()
+}
+
+// Claim a delivery by GHL's `webhookId`, which stays the same across its
+// retries. Returns the earlier outcome for a delivery already handled, or
+// { inProgress } while another request is still working on it. Failed
+// deliveries are claimed again so the retry runs.
+const claimGhlDelivery = (eventRef) => db.runTransaction(async (tx) => {
+  const doc = await tx.get(eventRef)
+  if (doc.exists) {
+    const { status, receivedAt } = doc.data()
+    if (status === 'processed' || status === 'ignored') return { duplicate: doc.data() }
+    if (status === 'processing' && Date.now() - receivedAt.toMillis() < GHL_WEBHOOK_LOCK_MS) return { inProgress: true }
+  }
+  tx.set(eventRef, { status: 'processing', receivedAt: admin.firestore.Timestamp.now() })
+  return {}
+})
+
+// Receive a native GoHighLevel webhook and run the matching rules (signature or API key)
+app.post('/api/ghl/webhook', authenticateGhlWebhook, idempotent, audit('ghl.webhook'), async (req, res) => {
+  try {
+    const payload = req.body || {}
+    if (!payload.type || typeof payload.type !== 'string') {
+      return res.status(400).json({ success: false, error: 'Webhook type is required' })
+    }
+    if (payload.webhookId !== undefined && (typeof payload.webhookId !== 'string' || !payload.webhookId)) {
+      return res.status(400).json({ success: false, error: 'webhookId must be a string' })
+    }
+
+    const eventsRef = db.collection('ghlWebhookEvents')
+    const eventRef = payload.webhookId
+      ? eventsRef.doc(crypto.createHash('sha256').update(payload.webhookId).digest('hex'))
+      : eventsRef.doc()
+    if (payload.webhookId) {
+      const claim = await claimGhlDelivery(eventRef)
+      if (claim.inProgress) {
+        return res.status(409).json({ success: false, error: 'This webhook is still being processed' })
+      }
+      if (claim.duplicate) {
+        const { status, events: duplicateEvents, triggered } = claim.duplicate
+        return res.json({ success: true, eventId: eventRef.id, status, duplicate: true, events: duplicateEvents, triggered })
+      }
+    }
+
+    const { contact, events, saveContact } = await resolveGhlEvents(payload)
+    let rules = []
+    if (events.length > 0) {
+      const snapshot = await db.collection('ghlWebhookRules').where('enabled', '==', true).get()
+      rules = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0))
+    }
+
+    // Events run in order, so "contact created" provisions before its initial tags apply
+    const triggered = []
+    for (const event of events) {
+      for (const rule of rules.filter(candidate => ghlRuleMatches(candidate, event))) {
+        const entry = { ruleId: rule.id, ruleName: rule.name, action: rule.action, event: event.type }
+        if (!contact?.email) {
+          triggered.push({ ...entry, status: 'skipped', reason: 'No email known for contact' })
+          continue
+        }
+        try {
+          triggered.push({ ...entry, ...(await GHL_WEBHOOK_ACTIONS[rule.action](contact)) })
+        } catch (err) {
+          console.error(`Error running GHL rule ${rule.id} (${rule.action}):`, err)
+          triggered.push({ ...entry, status: 'failed', error: err?.message || 'Action failed' })
+        }
+      }
+    }
+
+    const failed = triggered.some(entry => entry.status === 'failed')
+    const status = failed ? 'failed' : (triggered.length > 0 ? 'processed' : 'ignored')
+    if (!failed && saveContact) await saveContact()
+    await eventRef.set({
+      type: payload.type,
+      webhookId: payload.webhookId || null,
+      locationId: payload.locationId || null,
+      contactId: contact?.contactId || null,
+      email: contact?.email || null,
+      events,
+      triggered,
+      status,
+      payload,
+      receivedAt: admin.firestore.Timestamp.now()
+    })
+    console.log('GHL webhook processed:', { eventId: eventRef.id, type: payload.type, status, triggered: triggered.length })
+    auditDetails(req, {
+      resourceId: eventRef.id,
+      targetEmail: contact?.email || null,
+      metadata: { type: payload.type, status, events: events.map(event => event.type), triggered }
+    })
+
+    // A failed action returns 500 so GHL retries; completed actions are safe to repeat
+    res.status(failed ? 500 : 200).json({ success: !failed, eventId: eventRef.id, status, events, triggered })
+  } catch (error) {
+    console.error('Error processing GHL webhook:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Create a GHL webhook rule
+app.post('/api/ghl-webhook-rules', authorize('integrations:manage'), audit('ghl_webhook_rule.create'), async (req, res) => {
+  try {
+    let rule
+    try {
+      rule = normalizeGhlRuleInput(req.body || {})
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
+    }
+
+    const now = admin.firestore.Timestamp.now()
+    const docRef = await db.collection('ghlWebhookRules').add({
+      ...rule,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid,
+      createdAt: now,
+      updatedAt: now
+    })
+
+    res.status(201).json({ success: true, rule: serializeGhlRule(await docRef.get()) })
+  } catch (error) {
+    console.error('Error creating GHL webhook rule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
 
-    console.log('Writing user (GHL) to Firestore:', { ...userData, tempPassword: '[REDACTED]' })
-    await db.collection('users').doc(uid).set(userData, { merge: true })
+// List GHL webhook rules
+app.get('/api/ghl-webhook-rules', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('ghlWebhookRules').orderBy('createdAt').get()
+    const rules = snapshot.docs.map(serializeGhlRule)
 
-    const response = { success: true, email, uid, tempPassword: generated }
-    console.log('GHL create-user response:', { ...response, tempPassword: '[REDACTED]' })
-    res.json(response)
+    res.json({ success: true, rules, total: rules.length })
   } catch (error) {
-    console.error('Error creating user (GHL):', error)
-    res.status(500).json({ success: false, error: error?.message || 'Failed to create user', code: error?.code || undefined })
+    console.error('Error listing GHL webhook rules:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// GHL: Create trial user via API key (accountType: "Trial")
-app.post('/api/ghl/create-trial-user', authenticateApiKey, async (req, res) => {
+// Replace a GHL webhook rule. Omitted fields keep their current value.
+app.put('/api/ghl-webhook-rules/:id', authorize('integrations:manage'), audit('ghl_webhook_rule.update'), async (req, res) => {
   try {
-    console.log('GHL create trial user request received:', { body: req.body })
-    const { email, firstName = '', lastName = '', tempPassword } = req.body || {}
-
-    // Validate email format
-    if (!email || typeof email !== 'string') {
-      console.log('Invalid email provided:', email)
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
-    }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      console.log('Invalid email format:', email)
-      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    const docRef = db.collection('ghlWebhookRules').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Rule not found' })
     }
+    auditDetails(req, { before: serializeGhlRule(doc) })
 
-    // Check duplicates
-    let userRecord
+    const current = doc.data()
+    let rule
     try {
-      console.log('Looking up user by email:', email)
-      userRecord = await admin.auth().getUserByEmail(email)
-      console.log('User already exists:', userRecord.uid)
-      return res.status(409).json({ success: false, error: 'User already exists with this email', uid: userRecord.uid })
+      rule = normalizeGhlRuleInput({
+        name: current.name,
+        event: current.event,
+        action: current.action,
+        enabled: current.enabled,
+        // Filters belong to the event; drop them when the event changes
+        ...(req.body?.event && req.body.event !== current.event
+          ? {}
+          : { tag: current.tag, status: current.status, pipelineId: current.pipelineId }),
+        ...(req.body || {})
+      })
     } catch (err) {
-      if (!(err && err.code === 'auth/user-not-found')) {
-        console.error('Error looking up user:', err)
-        throw err
-      }
+      return res.status(400).json({ success: false, error: err.message })
     }
 
-    // Create new user
-    const generated = tempPassword || Math.random().toString(36).slice(-8) + Math.random().toString(36).slice(-4)
-    userRecord = await admin.auth().createUser({ email, password: generated })
-    console.log('New trial user created (GHL):', userRecord.uid)
+    await docRef.update({ ...rule, updatedAt: admin.firestore.Timestamp.now() })
 
-    // Enforce password change on first sign-in
-    await admin.auth().setCustomUserClaims(userRecord.uid, { mustChangePassword: true })
+    res.json({ success: true, rule: serializeGhlRule(await docRef.get()) })
+  } catch (error) {
+    console.error('Error updating GHL webhook rule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
 
-    // Build Firestore data
-    const uid = userRecord.uid
-    const displayName = `${firstName || ''} ${lastName || ''}`.trim() || userRecord.displayName || ''
-    const userData = {
-      uid,
-      email,
-      userType: 'user',
-      accountType: 'Trial',
-      creationEndpoint: 'ghl_create_trial_user',
-      createdBy: 'GHL',
-      accountStatus: 'Active',
-      is_triple_hugger: 'No',
-      updatedAt: admin.firestore.Timestamp.now(),
-      tempPassword: generated,
-      passwordGeneratedAt: admin.firestore.Timestamp.now()
+// Delete a GHL webhook rule
+app.delete('/api/ghl-webhook-rules/:id', authorize('integrations:manage'), audit('ghl_webhook_rule.delete'), async (req, res) => {
+  try {
+    const docRef = db.collection('ghlWebhookRules').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Rule not found' })
     }
-    if (firstName) userData.firstName = firstName
-    if (lastName) userData.lastName = lastName
-    if (displayName) userData.displayName = displayName
-    userData.createdAt = admin.firestore.FieldValue.serverTimestamp()
+    auditDetails(req, { before: serializeGhlRule(doc) })
 
-    console.log('Writing trial user (GHL) to Firestore:', { ...userData, tempPassword: '[REDACTED]' })
-    await db.collection('users').doc(uid).set(userData, { merge: true })
+    await docRef.delete()
 
-    const response = { success: true, email, uid, tempPassword: generated }
-    console.log('GHL create-trial-user response:', { ...response, tempPassword: '[REDACTED]' })
-    res.json(response)
+    res.json({ success: true, id: doc.id, deleted: true })
   } catch (error) {
-    console.error('Error creating trial user (GHL):', error)
-    res.status(500).json({ success: false, error: error?.message || 'Failed to create trial user', code: error?.code || undefined })
+    console.error('Error deleting GHL webhook rule:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// Make user inactive (admin only)
-app.post('/api/make-inactive', authenticateAdmin, async (req, res) => {
+// List received GHL webhooks, newest first. Filters: status, type, contactId, email
+app.get('/api/ghl-webhook-events', authorize('integrations:manage'), async (req, res) => {
   try {
-    const { uid, email } = req.body || {}
+    const { status, type, contactId, email, cursor } = req.query
+    const limit = parseLimitQuery(req.query.limit)
 
-    if (!uid && !email) {
-      return res.status(400).json({ success: false, error: 'uid or email is required' })
-    }
+    let query = db.collection('ghlWebhookEvents')
+    if (status) query = query.where('status', '==', status)
+    if (type) query = query.where('type', '==', type)
+    if (contactId) query = query.where('contactId', '==', contactId)
+    if (email) query = query.where('email', '==', email)
+    query = query.orderBy('receivedAt', 'desc').limit(limit)
 
-    let targetUid = uid
-    if (!targetUid && email) {
-      try {
-        const userRecord = await admin.auth().getUserByEmail(email)
-        targetUid = userRecord.uid
-      } catch (err) {
-        if (err && err.code === 'auth/user-not-found') {
-          return res.status(404).json({ success: false, error: 'User not found for provided email' })
-        }
-        throw err
+    if (cursor) {
+      const cursorDoc = await db.collection('ghlWebhookEvents').doc(cursor).get()
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' })
       }
+      query = query.startAfter(cursorDoc)
     }
 
-    await db.collection('users').doc(targetUid).set({
-      accountStatus: 'Inactive',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
+    const snapshot = await query.get()
+    const events = snapshot.docs.map(serializeGhlEvent)
 
-    res.json({ success: true, uid: targetUid, accountStatus: 'inactive' })
+    res.json({
+      success: true,
+      events,
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    })
   } catch (error) {
-    console.error('Error making user inactive (admin):', error)
+    console.error('Error listing GHL webhook events:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// Make user inactive (GHL via API key)
-app.post('/api/ghl/make-inactive', authenticateApiKey, async (req, res) => {
+// Get one received GHL webhook, including its raw payload
+app.get('/api/ghl-webhook-events/:id', authorize('integrations:manage'), async (req, res) => {
   try {
-    const { uid, email } = req.body || {}
-
-    if (!uid && !email) {
-      return res.status(400).json({ success: false, error: 'uid or email is required' })
-    }
-
-    let targetUid = uid
-    if (!targetUid && email) {
-      try {
-        const userRecord = await admin.auth().getUserByEmail(email)
-        targetUid = userRecord.uid
-      } catch (err) {
-        if (err && err.code === 'auth/user-not-found') {
-          return res.status(404).json({ success: false, error: 'User not found for provided email' })
-        }
-        throw err
-      }
+    const doc = await db.collection('ghlWebhookEvents').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found' })
     }
 
-    await db.collection('users').doc(targetUid).set({
-      accountStatus: 'Inactive',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
-
-    res.json({ success: true, uid: targetUid, accountStatus: 'inactive' })
+    res.json({ success: true, event: serializeGhlEvent(doc) })
   } catch (error) {
-    console.error('Error making user inactive (GHL):', error)
+    console.error('Error getting GHL webhook event:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// Make user active (admin only)
-app.post('/api/make-active', authenticateAdmin, async (req, res) => {
+// ---------------------------------------------------------------------------
+// Personal data export and erasure
+//
+// An export gathers what we hold about a member into one JSON document.
+// Erasure deletes the Auth user, the profile with its devices and status
+// history, and the member's notification records; scrubs their email and
+// names from GHL logs, the audit log and outbound webhook payloads; and leaves
+// a tombstone in `erasedUsers/{sha256(email)}` so GHL cannot recreate the
+// account. Credentials (temp password, push tokens) are never exported.
+// ---------------------------------------------------------------------------
+
+const erasureId = (email) => crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex')
+
+// The tombstone left for an erased email, or null
+const findErasure = async (email) => {
+  const doc = await db.collection('erasedUsers').doc(erasureId(email)).get()
+  return doc.exists ? doc.data() : null
+}
+
+// Firestore data as plain JSON, timestamps as ISO strings
+const toPlainData = (value) => {
+  if (value?.toDate) return value.toDate().toISOString()
+  if (Array.isArray(value)) return value.map(toPlainData)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlainData(entry)]))
+  }
+  return value
+}
+
+// Find a member by uid or email. Returns { uid, emails, authUser, profile } or null.
+const resolvePersonalDataTarget = async ({ uid, email }) => {
+  const authUser = uid ? await findAuthUser(uid) : await findAuthUserByEmail(email)
+  let userDoc = null
+  if (uid || authUser) {
+    userDoc = await db.collection('users').doc(uid || authUser.uid).get()
+  } else {
+    const snapshot = await db.collection('users').where('email', '==', email).limit(1).get()
+    userDoc = snapshot.docs[0] || null
+  }
+  if (!authUser && !userDoc?.exists) return null
+
+  const profile = userDoc?.exists ? userDoc.data() : null
+  // GHL and older profiles may keep the email in a different case
+  const emails = [...new Set([authUser?.email, profile?.email, email].filter(Boolean).flatMap(value => [value, value.toLowerCase()]))]
+  return { uid: authUser?.uid || userDoc.id, emails, authUser, profile }
+}
+
+// Query every document holding the member's data, per collection
+const findPersonalDataDocs = async ({ uid, emails }) => {
+  const userRef = db.collection('users').doc(uid)
+  const byEmail = (collection, field) => (emails.length > 0
+    ? db.collection(collection).where(field, 'in', emails.slice(0, 10)).get()
+    : Promise.resolve({ docs: [] }))
+  const [devices, statusHistory, tierHistory, hugHistory, friendHugsSent, friendHugsReceived, friendHugsQueued, recipients, ghlContacts, ghlWebhookEvents, auditByUid, auditByEmail, webhookDeliveries] = await Promise.all([
+    userRef.collection('devices').get(),
+    userRef.collection('statusHistory').orderBy('createdAt').get(),
+    userRef.collection('tierHistory').orderBy('createdAt').get(),
+    userRef.collection('hugHistory').orderBy('servedAt').get(),
+    db.collection('friendHugs').where('senderUid', '==', uid).get(),
+    db.collection('friendHugs').where('recipientUid', '==', uid).get(),
+    db.collection('friendHugOutbox').where('senderUid', '==', uid).get(),
+    db.collectionGroup('recipients').where('uid', '==', uid).get(),
+    byEmail('ghlContacts', 'email'),
+    byEmail('ghlWebhookEvents', 'email'),
+    db.collection('auditLog').where('targetUid', '==', uid).get(),
+    byEmail('auditLog', 'targetEmail'),
+    db.collection('webhookDeliveries').where('payload.data.uid', '==', uid).get()
+  ])
+  const auditLog = [...new Map([...auditByUid.docs, ...auditByEmail.docs].map(doc => [doc.id, doc])).values()]
+  return {
+    devices: devices.docs,
+    statusHistory: statusHistory.docs,
+    tierHistory: tierHistory.docs,
+    hugHistory: hugHistory.docs,
+    friendHugsSent: friendHugsSent.docs,
+    friendHugsReceived: friendHugsReceived.docs,
+    friendHugsQueued: friendHugsQueued.docs,
+    recipients: recipients.docs,
+    ghlContacts: ghlContacts.docs,
+    ghlWebhookEvents: ghlWebhookEvents.docs,
+    auditLog,
+    webhookDeliveries: webhookDeliveries.docs
+  }
+}
+
+const buildPersonalDataExport = async (target) => {
+  const { uid, authUser, profile } = target
+  const docs = await findPersonalDataDocs(target)
+
+  const notificationDocs = []
+  for (const refs of chunk(docs.recipients.map(doc => doc.ref.parent.parent), 100)) {
+    notificationDocs.push(...await db.getAll(...refs))
+  }
+  const { tempPassword, fcmToken, ...profileData } = profile || {}
+
+  return {
+    exportedAt: new Date().toISOString(),
+    uid,
+    auth: authUser
+      ? {
+          email: authUser.email || null,
+          emailVerified: !!authUser.emailVerified,
+          displayName: authUser.displayName || null,
+          phoneNumber: authUser.phoneNumber || null,
+          disabled: !!authUser.disabled,
+          createdAt: authUser.metadata?.creationTime ? new Date(authUser.metadata.creationTime).toISOString() : null,
+          lastSignInAt: authUser.metadata?.lastSignInTime ? new Date(authUser.metadata.lastSignInTime).toISOString() : null,
+          providers: (authUser.providerData || []).map(provider => provider.providerId),
+          customClaims: authUser.customClaims || {}
+        }
+      : null,
+    profile: profile ? toPlainData(profileData) : null,
+    devices: docs.devices.map(doc => {
+      const { token, ...device } = doc.data()
+      return { id: doc.id, ...toPlainData(device) }
+    }),
+    statusHistory: docs.statusHistory.map(doc => toPlainData(doc.data())),
+    tierHistory: docs.tierHistory.map(doc => toPlainData(doc.data())),
+    hugHistory: docs.hugHistory.map(doc => toPlainData(doc.data())),
+    friendHugsSent: docs.friendHugsSent.map(doc => ({ id: doc.id, ...toPlainData(doc.data()) })),
+    friendHugsReceived: docs.friendHugsReceived.map(doc => ({ id: doc.id, ...toPlainData(doc.data()) })),
+    notifications: docs.recipients.map((doc, index) => {
+      const notification = notificationDocs[index].exists ? notificationDocs[index].data() : {}
+      return toPlainData({
+        ...doc.data(),
+        title: doc.data().title || notification.title || null,
+        body: doc.data().body || notification.body || null,
+        category: notification.category || null,
+        source: notification.source || null
+      })
+    }),
+    ghlContacts: docs.ghlContacts.map(doc => toPlainData(doc.data())),
+    ghlWebhookEvents: docs.ghlWebhookEvents.map(doc => ({ id: doc.id, ...toPlainData(doc.data()) })),
+    auditLog: docs.auditLog.map(doc => toPlainData({
+      id: doc.id,
+      action: doc.data().action,
+      actorType: doc.data().actorType,
+      success: doc.data().success,
+      createdAt: doc.data().createdAt
+    }))
+  }
+}
+
+// Run `write` over docs in batches of 500
+const writeInBatches = async (docs, write) => {
+  for (const entries of chunk(docs, 500)) {
+    const batch = db.batch()
+    for (const doc of entries) write(batch, doc)
+    await batch.commit()
+  }
+}
+
+// Erase (or with dryRun, count) everything held about a member
+const erasePersonalData = async (target, { dryRun, erasedBy, source }) => {
+  const { uid, emails, authUser, profile } = target
+  const docs = await findPersonalDataDocs(target)
+  const summary = {
+    authUser: !!authUser,
+    profile: !!profile,
+    devices: docs.devices.length,
+    statusHistory: docs.statusHistory.length,
+    tierHistory: docs.tierHistory.length,
+    hugHistory: docs.hugHistory.length,
+    friendHugs: docs.friendHugsSent.length + docs.friendHugsReceived.length + docs.friendHugsQueued.length,
+    notificationRecords: docs.recipients.length,
+    ghlContacts: docs.ghlContacts.length,
+    ghlWebhookEvents: docs.ghlWebhookEvents.length,
+    auditLogEntries: docs.auditLog.length,
+    webhookDeliveries: docs.webhookDeliveries.length
+  }
+  if (dryRun) return summary
+
+  const now = admin.firestore.Timestamp.now()
+  // Tombstone first so GHL cannot recreate the account while erasure runs
+  const email = authUser?.email || profile?.email
+  if (email) {
+    await db.collection('erasedUsers').doc(erasureId(email)).set({ uid, erasedAt: now, erasedBy, source })
+  }
+
+  await writeInBatches([...docs.recipients, ...docs.ghlContacts, ...docs.friendHugsSent, ...docs.friendHugsReceived, ...docs.friendHugsQueued], (batch, doc) => batch.delete(doc.ref))
+  await writeInBatches(docs.ghlWebhookEvents, (batch, doc) => batch.update(doc.ref, { email: null, payload: null, erasedAt: now }))
+  // The one change the app makes to audit entries: drop the email and request body
+  await writeInBatches(docs.auditLog, (batch, doc) => batch.update(doc.ref, { targetEmail: null, request: null, erasedAt: now }))
+  await writeInBatches(docs.webhookDeliveries, (batch, doc) => batch.update(doc.ref, {
+    'payload.data.email': null,
+    'payload.data.firstName': null,
+    'payload.data.lastName': null
+  }))
+  await db.recursiveDelete(db.collection('users').doc(uid))
+  if (authUser) await admin.auth().deleteUser(uid)
+
+  await emitEvent('user.erased', { uid, source })
+  console.log('Personal data erased:', { uid, source, emails: emails.length })
+  return summary
+}
+
+// Download everything held about a member as JSON. Body: uid or email.
+const exportPersonalDataHandler = async (req, res) => {
   try {
     const { uid, email } = req.body || {}
-
     if (!uid && !email) {
       return res.status(400).json({ success: false, error: 'uid or email is required' })
     }
 
-    let targetUid = uid
-    if (!targetUid && email) {
-      try {
-        const userRecord = await admin.auth().getUserByEmail(email)
-        targetUid = userRecord.uid
-      } catch (err) {
-        if (err && err.code === 'auth/user-not-found') {
-          return res.status(404).json({ success: false, error: 'User not found for provided email' })
-        }
-        throw err
-      }
+    const target = await resolvePersonalDataTarget({ uid, email })
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User not found' })
     }
 
-    await db.collection('users').doc(targetUid).set({
-      accountStatus: 'Active',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
-
-    res.json({ success: true, uid: targetUid, accountStatus: 'Active' })
+    const data = await buildPersonalDataExport(target)
+    auditDetails(req, { targetUid: target.uid, after: null })
+    res.setHeader('Content-Disposition', `attachment; filename="personal-data-${target.uid}.json"`)
+    res.json({ success: true, export: data })
   } catch (error) {
-    console.error('Error making user active (admin):', error)
+    console.error('Error exporting personal data:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
-})
+}
 
-// Make user active (GHL via API key)
-app.post('/api/ghl/make-active', authenticateApiKey, async (req, res) => {
+// Delete or anonymize everything held about a member. Body: uid or email, dryRun.
+const erasePersonalDataHandler = (source) => async (req, res) => {
   try {
     const { uid, email } = req.body || {}
-
+    const dryRun = !!req.body?.dryRun
     if (!uid && !email) {
       return res.status(400).json({ success: false, error: 'uid or email is required' })
     }
+    // Keep the email out of the audit entry for the erasure itself
+    auditDetails(req, { targetEmail: null, request: { uid: uid || null, dryRun } })
 
-    let targetUid = uid
-    if (!targetUid && email) {
-      try {
-        const userRecord = await admin.auth().getUserByEmail(email)
-        targetUid = userRecord.uid
-      } catch (err) {
-        if (err && err.code === 'auth/user-not-found') {
-          return res.status(404).json({ success: false, error: 'User not found for provided email' })
-        }
-        throw err
+    const target = await resolvePersonalDataTarget({ uid, email })
+    if (!target) {
+      const erasure = email && await findErasure(email)
+      if (erasure) {
+        return res.json({ success: true, uid: erasure.uid, alreadyErased: true, erasedAt: erasure.erasedAt.toDate() })
       }
+      return res.status(404).json({ success: false, error: 'User not found' })
+    }
+    if (STAFF_ROLES.includes(target.profile?.userType) || STAFF_ROLES.includes(target.authUser?.customClaims?.role)) {
+      return res.status(409).json({ success: false, error: 'Revoke the staff role before erasing this account' })
     }
 
-    await db.collection('users').doc(targetUid).set({
-      accountStatus: 'Active',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
+    const summary = await erasePersonalData(target, { dryRun, erasedBy: auditActor(req), source })
+    auditDetails(req, { targetUid: target.uid, metadata: { dryRun, summary } })
 
-    res.json({ success: true, uid: targetUid, accountStatus: 'Active' })
+    res.json({ success: true, uid: target.uid, dryRun, erased: summary })
   } catch (error) {
-    console.error('Error making user active (GHL):', error)
+    console.error('Error erasing personal data:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
-})
+}
 
-// Make user a triple hugger (admin only)
-app.post('/api/make-triple-hugger', authenticateAdmin, async (req, res) => {
-  try {
-    const { email } = req.body || {}
+app.post('/api/export-user-data', authorize('users:privacy'), audit('user.data_export'), exportPersonalDataHandler)
+app.post('/api/ghl/export-user-data', authenticateApiKey('users:privacy'), audit('user.data_export'), exportPersonalDataHandler)
+app.post('/api/erase-user', authorize('users:privacy'), audit('user.erase'), erasePersonalDataHandler('admin'))
+app.post('/api/ghl/erase-user', authenticateApiKey('users:privacy'), idempotent, audit('user.erase'), erasePersonalDataHandler('ghl'))
 
-    if (!email || typeof email !== 'string') {
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
-    }
+// ---------------------------------------------------------------------------
+// API key endpoints
+//
+// The full key is returned once, by create and rotate; afterwards only
+// `keyHint` (the last 4 characters) is shown. Rotating keeps the old key
+// working for an overlap period so integrations can switch without downtime.
+// ---------------------------------------------------------------------------
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, error: 'Invalid email format' })
-    }
+const API_KEY_ROTATION_OVERLAP_HOURS = parseFloat(process.env.API_KEY_ROTATION_OVERLAP_HOURS || '24')
+
+const normalizeApiKeyInput = ({ name, scopes, expiresAt, expiresInDays } = {}) => {
+  if (!name || typeof name !== 'string' || !name.trim()) throw new Error('API key name is required')
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`)
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope))
+  if (unknown.length > 0) throw new Error(`Unknown API key scope(s): ${unknown.join(', ')}`)
+
+  let expires = null
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expires = parseDateQuery(expiresAt)
+    if (!expires || expires.getTime() <= Date.now()) throw new Error('expiresAt must be a future ISO date')
+  } else if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays)
+    if (!Number.isFinite(days) || days <= 0) throw new Error('expiresInDays must be a positive number')
+    expires = new Date(Date.now() + days * DAY_MS)
+  }
+  return { name: name.trim(), scopes: [...new Set(scopes)], expiresAt: expires ? admin.firestore.Timestamp.fromDate(expires) : null }
+}
+
+const apiKeyStatus = (data) => {
+  if (data.revokedAt) return 'revoked'
+  if (data.expiresAt && data.expiresAt.toMillis() <= Date.now()) return 'expired'
+  return 'active'
+}
+
+const serializeApiKey = (doc) => {
+  const { keyHash, ...data } = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    status: apiKeyStatus(data),
+    expiresAt: data.expiresAt?.toDate?.() || null,
+    lastUsedAt: data.lastUsedAt?.toDate?.() || null,
+    revokedAt: data.revokedAt?.toDate?.() || null,
+    createdAt: data.createdAt?.toDate?.() || null,
+    updatedAt: data.updatedAt?.toDate?.() || null
+  }
+}
+
+// Build a new key record; returns the doc ref, the record and the plaintext key
+const generateApiKey = (fields) => {
+  const docRef = db.collection('apiKeys').doc()
+  const key = `mdh_${docRef.id}_${crypto.randomBytes(32).toString('hex')}`
+  const now = admin.firestore.Timestamp.now()
+  const record = {
+    ...fields,
+    keyHash: hashApiKey(key).toString('hex'),
+    keyHint: `…${key.slice(-4)}`,
+    lastUsedAt: null,
+    revokedAt: null,
+    createdAt: now,
+    updatedAt: now
+  }
+  return { docRef, record, key }
+}
 
-    // Find user by email
-    let userRecord
+// Create an API key
+app.post('/api/api-keys', authorize('integrations:manage'), audit('api_key.create'), async (req, res) => {
+  try {
+    let fields
     try {
-      userRecord = await admin.auth().getUserByEmail(email)
+      fields = normalizeApiKeyInput(req.body || {})
     } catch (err) {
-      if (err && err.code === 'auth/user-not-found') {
-        return res.status(404).json({ success: false, error: 'User not found for provided email' })
-      }
-      throw err
+      return res.status(400).json({ success: false, error: err.message })
     }
 
-    const uid = userRecord.uid
-
-    // Update Firestore profile with is_triple_hugger field
-    await db.collection('users').doc(uid).set({
-      is_triple_hugger: 'Yes',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
-
-    res.json({ 
-      success: true, 
-      uid, 
-      email, 
-      is_triple_hugger: 'Yes',
-      message: 'User marked as triple hugger'
+    const { docRef, record, key } = generateApiKey({
+      ...fields,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid
     })
+    await docRef.set(record)
+
+    res.status(201).json({ success: true, apiKey: serializeApiKey(await docRef.get()), key })
   } catch (error) {
-    console.error('Error making user triple hugger:', error)
+    console.error('Error creating API key:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// GHL: Make user a triple hugger (API key auth)
-app.post('/api/ghl/make-triple-hugger', authenticateApiKey, async (req, res) => {
+// List API keys, newest first. Filter: status (active, expired, revoked)
+app.get('/api/api-keys', authorize('integrations:manage'), async (req, res) => {
   try {
-    const { email } = req.body || {}
+    const snapshot = await db.collection('apiKeys').orderBy('createdAt', 'desc').get()
+    const apiKeys = snapshot.docs
+      .map(serializeApiKey)
+      .filter(apiKey => !req.query.status || apiKey.status === req.query.status)
 
-    if (!email || typeof email !== 'string') {
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
-    }
+    res.json({ success: true, apiKeys, total: apiKeys.length })
+  } catch (error) {
+    console.error('Error listing API keys:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, error: 'Invalid email format' })
+// Get one API key
+app.get('/api/api-keys/:id', authorize('integrations:manage'), async (req, res) => {
+  try {
+    const doc = await db.collection('apiKeys').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'API key not found' })
     }
 
-    // Find user by email
-    let userRecord
-    try {
-      userRecord = await admin.auth().getUserByEmail(email)
-    } catch (err) {
-      if (err && err.code === 'auth/user-not-found') {
-        return res.status(404).json({ success: false, error: 'User not found for provided email' })
-      }
-      throw err
+    res.json({ success: true, apiKey: serializeApiKey(doc) })
+  } catch (error) {
+    console.error('Error getting API key:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Revoke an API key immediately
+app.post('/api/api-keys/:id/revoke', authorize('integrations:manage'), audit('api_key.revoke'), async (req, res) => {
+  try {
+    const docRef = db.collection('apiKeys').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'API key not found' })
+    }
+    auditDetails(req, { before: serializeApiKey(doc) })
+    if (doc.data().revokedAt) {
+      return res.status(409).json({ success: false, error: 'API key is already revoked' })
     }
 
-    const uid = userRecord.uid
+    const now = admin.firestore.Timestamp.now()
+    await docRef.update({ revokedAt: now, revokedBy: req.adminDisplayName || 'Admin', revokedByUid: req.user.uid, updatedAt: now })
 
-    // Update Firestore profile with is_triple_hugger field
-    await db.collection('users').doc(uid).set({
-      is_triple_hugger: 'Yes',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
-
-    res.json({ 
-      success: true, 
-      uid, 
-      email, 
-      is_triple_hugger: 'Yes',
-      message: 'User marked as triple hugger (GHL)'
-    })
+    res.json({ success: true, apiKey: serializeApiKey(await docRef.get()) })
   } catch (error) {
-    console.error('Error making user triple hugger (GHL):', error)
+    console.error('Error revoking API key:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// Make user a double hugger (admin only)
-app.post('/api/make-double-hugger', authenticateAdmin, async (req, res) => {
+// Replace an API key with a new one; the old key keeps working for overlapHours
+app.post('/api/api-keys/:id/rotate', authorize('integrations:manage'), audit('api_key.rotate'), async (req, res) => {
   try {
-    const { email } = req.body || {}
-
-    if (!email || typeof email !== 'string') {
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
+    const docRef = db.collection('apiKeys').doc(req.params.id)
+    const doc = await docRef.get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'API key not found' })
+    }
+    auditDetails(req, { before: serializeApiKey(doc) })
+    const current = doc.data()
+    if (apiKeyStatus(current) !== 'active') {
+      return res.status(409).json({ success: false, error: `Cannot rotate a ${apiKeyStatus(current)} API key` })
     }
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    const overlapHours = req.body?.overlapHours ?? API_KEY_ROTATION_OVERLAP_HOURS
+    if (typeof overlapHours !== 'number' || !Number.isFinite(overlapHours) || overlapHours < 0) {
+      return res.status(400).json({ success: false, error: 'overlapHours must be a number of hours, 0 or more' })
     }
 
-    // Find user by email
-    let userRecord
-    try {
-      userRecord = await admin.auth().getUserByEmail(email)
-    } catch (err) {
-      if (err && err.code === 'auth/user-not-found') {
-        return res.status(404).json({ success: false, error: 'User not found for provided email' })
-      }
-      throw err
+    const { docRef: newRef, record, key } = generateApiKey({
+      name: current.name,
+      scopes: current.scopes,
+      expiresAt: current.expiresAt || null,
+      rotatedFrom: doc.id,
+      createdBy: req.adminDisplayName || 'Admin',
+      createdByUid: req.user.uid
+    })
+    const overlapEnd = Date.now() + overlapHours * 60 * 60 * 1000
+    const oldUpdate = { rotatedTo: newRef.id, updatedAt: record.createdAt }
+    if (overlapHours === 0) {
+      Object.assign(oldUpdate, { revokedAt: record.createdAt, revokedBy: req.adminDisplayName || 'Admin', revokedByUid: req.user.uid })
+    } else if (!current.expiresAt || current.expiresAt.toMillis() > overlapEnd) {
+      oldUpdate.expiresAt = admin.firestore.Timestamp.fromMillis(overlapEnd)
     }
 
-    const uid = userRecord.uid
+    const batch = db.batch()
+    batch.set(newRef, record)
+    batch.update(docRef, oldUpdate)
+    await batch.commit()
+    const previousKey = serializeApiKey(await docRef.get())
+    auditDetails(req, { after: previousKey, metadata: { newKeyId: newRef.id, overlapHours } })
 
-    // Update Firestore profile with is_triple_hugger field set to "No"
-    await db.collection('users').doc(uid).set({
-      is_triple_hugger: 'No',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
-
-    res.json({ 
-      success: true, 
-      uid, 
-      email, 
-      is_triple_hugger: 'No',
-      message: 'User marked as double hugger'
-    })
+    res.status(201).json({ success: true, apiKey: serializeApiKey(await newRef.get()), key, previousKey })
   } catch (error) {
-    console.error('Error making user double hugger:', error)
+    console.error('Error rotating API key:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })
 
-// GHL: Make user a double hugger (API key auth)
-app.post('/api/ghl/make-double-hugger', authenticateApiKey, async (req, res) => {
-  try {
-    const { email } = req.body || {}
+// ---------------------------------------------------------------------------
+// Audit log endpoints
+// ---------------------------------------------------------------------------
 
-    if (!email || typeof email !== 'string') {
-      return res.status(400).json({ success: false, error: 'Valid email is required' })
+const serializeAuditEntry = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  createdAt: doc.data().createdAt?.toDate?.() || null
+})
+
+// List audit entries, newest first. Filters: actorId, targetUid, targetEmail, action, from, to
+app.get('/api/audit-log', authorize('audit:read'), async (req, res) => {
+  try {
+    let params
+    try {
+      params = parseQueryParams(req.query, { actorId: null, targetUid: null, targetEmail: null, action: null, from: null, to: null, limit: null, cursor: null })
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message })
     }
+    const { actorId, targetUid, targetEmail, action, from, to, cursor } = params
+    const limit = parseLimitQuery(params.limit)
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, error: 'Invalid email format' })
+    let query = db.collection('auditLog')
+    if (actorId) query = query.where('actorId', '==', actorId)
+    if (targetUid) query = query.where('targetUid', '==', targetUid)
+    if (targetEmail) query = query.where('targetEmail', '==', targetEmail.toLowerCase())
+    if (action) query = query.where('action', '==', action)
+    if (from) {
+      const fromDate = parseDateQuery(from)
+      if (!fromDate) return res.status(400).json({ success: false, error: 'Invalid from date' })
+      query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(fromDate))
     }
+    if (to) {
+      const toDate = parseDateQuery(to)
+      if (!toDate) return res.status(400).json({ success: false, error: 'Invalid to date' })
+      query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(toDate))
+    }
+    query = query.orderBy('createdAt', 'desc').limit(limit)
 
-    // Find user by email
-    let userRecord
-    try {
-      userRecord = await admin.auth().getUserByEmail(email)
-    } catch (err) {
-      if (err && err.code === 'auth/user-not-found') {
-        return res.status(404).json({ success: false, error: 'User not found for provided email' })
+    if (cursor) {
+      const cursorDoc = await db.collection('auditLog').doc(cursor).get()
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' })
       }
-      throw err
+      query = query.startAfter(cursorDoc)
     }
 
-    const uid = userRecord.uid
+    const snapshot = await query.get()
+    const entries = snapshot.docs.map(serializeAuditEntry)
 
-    // Update Firestore profile with is_triple_hugger field set to "No"
-    await db.collection('users').doc(uid).set({
-      is_triple_hugger: 'No',
-      updatedAt: admin.firestore.Timestamp.now()
-    }, { merge: true })
-
-    res.json({ 
-      success: true, 
-      uid, 
-      email, 
-      is_triple_hugger: 'No',
-      message: 'User marked as double hugger (GHL)'
+    res.json({
+      success: true,
+      entries,
+      nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
     })
   } catch (error) {
-    console.error('Error making user double hugger (GHL):', error)
+    console.error('Error listing audit log:', error)
+    res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
+  }
+})
+
+// Get one audit entry
+app.get('/api/audit-log/:id', authorize('audit:read'), async (req, res) => {
+  try {
+    const doc = await db.collection('auditLog').doc(req.params.id).get()
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: 'Audit entry not found' })
+    }
+
+    res.json({ success: true, entry: serializeAuditEntry(doc) })
+  } catch (error) {
+    console.error('Error getting audit entry:', error)
     res.status(500).json({ success: false, error: error?.message || 'Internal server error' })
   }
 })